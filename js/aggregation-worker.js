@@ -0,0 +1,1084 @@
+// Global Terrorism Data Visualization
+// Aggregation engine: runs in a Web Worker, owns the record store and its
+// year/region/country/group indexes, and answers every aggregation the views need
+
+// d3-geo places incidents of dissolved states inside their successors' shapes
+importScripts('https://d3js.org/d3.v7.min.js');
+
+let records = [];
+let yearIndex = new Map();
+let regionIndex = new Map();
+let countryIndex = new Map();
+let groupIndex = new Map();
+// First and last year in the store; the heatmap's year columns span them
+let firstYear = 0;
+let lastYear = -1;
+
+// Fields the data quality report checks, and when a record counts as missing them
+const QUALITY_FIELDS = {
+    coordinates: d => !hasLocation(d),
+    month: d => !d.month,
+    day: d => !d.day,
+    killed: d => d.killed === null,
+    wounded: d => d.wounded === null,
+    perpetrators: d => d.perpetrators === null,
+    city: d => d.city === 'Unknown',
+    group: d => d.groupName === 'Unknown'
+};
+
+// Region to Continent mapping
+const regionToContinentMap = {
+    'North America': 'North America',
+    'Central America & Caribbean': 'North America',
+    'South America': 'South America',
+    'Western Europe': 'Europe',
+    'Eastern Europe': 'Europe',
+    'Middle East & North Africa': 'Africa',
+    'Sub-Saharan Africa': 'Africa',
+    'South Asia': 'Asia',
+    'Southeast Asia': 'Asia',
+    'East Asia': 'Asia',
+    'Central Asia': 'Asia',
+    'Australasia & Oceania': 'Oceania',
+    'Russia & Newly Independent States (NIS)': 'Europe'
+};
+
+// ==== MESSAGE API ====
+// Requests arrive as { id, type, payload } and are answered with { id, result } or { id, error }
+const handlers = {
+    load: loadRecords,
+    aggregate: aggregate,
+    clusters: getMapClusters,
+    records: filteredRecords,
+    incidents: incidentRows,
+    clusterLocations: clusterLocations,
+    groupProfile: groupProfile,
+    countryShapes: setCountryShapes
+};
+
+self.onmessage = function (event) {
+    const { id, type, payload } = event.data;
+    try {
+        const handler = handlers[type];
+        if (!handler) {
+            throw new Error('Unknown engine request: ' + type);
+        }
+        self.postMessage({ id, result: handler(payload || {}) });
+    } catch (error) {
+        console.error('Engine request "' + type + '" failed:', error);
+        self.postMessage({ id, error: error.message });
+    }
+};
+
+// ==== RECORD STORE ====
+function loadRecords({ records: incoming }) {
+    records = incoming || [];
+    incidentQuery = null;
+    yearIndex = new Map();
+    regionIndex = new Map();
+    countryIndex = new Map();
+    groupIndex = new Map();
+
+    records.forEach((d, i) => {
+        pushIndex(yearIndex, d.year, i);
+        pushIndex(regionIndex, d.region, i);
+        pushIndex(countryIndex, d.country, i);
+        pushIndex(groupIndex, d.groupName, i);
+    });
+
+    // Year buckets in chronological order so filtered results keep dataset order
+    yearIndex = new Map([...yearIndex.entries()].sort((a, b) => a[0] - b[0]));
+    const years = [...yearIndex.keys()];
+    firstYear = years.length > 0 ? years[0] : 0;
+    lastYear = years.length > 0 ? years[years.length - 1] : -1;
+    placeSuccessors();
+
+    return {
+        count: records.length,
+        domains: {
+            years: [firstYear, lastYear],
+            regions: [...regionIndex.keys()].sort(),
+            countries: [...countryIndex.keys()].filter(c => c && c.trim() !== '').sort(),
+            attackTypes: [...new Set(records.flatMap(d => typesOf(d, 'attackType')))].sort(),
+            targetTypes: [...new Set(records.flatMap(d => typesOf(d, 'targetType')))].sort(),
+            weaponTypes: [...new Set(records.flatMap(d => typesOf(d, 'weaponType')))].sort(),
+            groups: [...groupIndex.keys()].filter(g => g && g.trim() !== '').sort()
+        }
+    };
+}
+
+function pushIndex(index, key, i) {
+    const ids = index.get(key);
+    if (ids) {
+        ids.push(i);
+    } else {
+        index.set(key, [i]);
+    }
+}
+
+// Filters: { startYear, endYear, includeUnlocated, a facet per FACET_FIELDS key and a
+// yes/no flag per FLAG_FILTERS field }
+function matchesFilters(d, filters) {
+    return d.year >= filters.startYear && d.year <= filters.endYear &&
+        (filters.includeUnlocated || hasLocation(d)) &&
+        matchesFlags(d, filters) &&
+        Object.keys(FACET_FIELDS).every(key => matchesFacet(d, filters[key], key));
+}
+
+// Faceted filters by record field: { values: [] (empty = any), exclude }. A type facet
+// matches on any of an incident's types, as the charts and selections count them.
+const FACET_FIELDS = {
+    region: 'region',
+    country: 'country',
+    attackType: 'attackType',
+    targetType: 'targetType',
+    weaponType: 'weaponType',
+    group: 'groupName'
+};
+
+function matchesFacet(d, facet, key) {
+    if (!facet || facet.values.length === 0) return true;
+    return typesOf(d, FACET_FIELDS[key]).some(value => facet.values.includes(value)) !== facet.exclude;
+}
+
+// Incidents without usable coordinates are kept, but only non-map views can show them
+function hasLocation(d) {
+    return d.latitude !== null && d.longitude !== null;
+}
+
+// Yes/no record fields with an 'all' | 'yes' | 'no' filter of the same name
+const FLAG_FILTERS = ['success', 'suicide', 'multiple', 'property', 'hostageTaken'];
+
+function matchesFlags(d, filters) {
+    return FLAG_FILTERS.every(field => {
+        const wanted = filters[field];
+        return !wanted || wanted === 'all' || d[field] === (wanted === 'yes');
+    });
+}
+
+// Primary type first, then the other ones an incident lists. Aggregations count an
+// incident once for each of its types; other fields give their single value.
+const SECONDARY_TYPE_FIELDS = {
+    attackType: 'secondaryAttackTypes',
+    targetType: 'secondaryTargetTypes',
+    weaponType: 'secondaryWeaponTypes'
+};
+
+function typesOf(d, field) {
+    const secondary = d[SECONDARY_TYPE_FIELDS[field]];
+    if (!secondary || secondary.length === 0) return [d[field]];
+    // The GTD repeats a weapon type for each of its subtypes (Firearms, Firearms)
+    return [...new Set([d[field]].concat(secondary))];
+}
+
+// Scan only the smallest candidate set the indexes can give us
+function selectRecords(filters) {
+    const yearBuckets = [];
+    yearIndex.forEach((ids, year) => {
+        if (year >= filters.startYear && year <= filters.endYear) yearBuckets.push(ids);
+    });
+
+    let candidates = yearBuckets;
+    let ordered = true;
+
+    const consider = (buckets, isOrdered) => {
+        if (countIds(buckets) < countIds(candidates)) {
+            candidates = buckets;
+            ordered = isOrdered;
+        }
+    };
+
+    // Only an included value list narrows the scan; an excluded one can match almost anything
+    [['region', regionIndex], ['country', countryIndex], ['group', groupIndex]].forEach(([key, index]) => {
+        const facet = filters[key];
+        if (facet && facet.values.length > 0 && !facet.exclude) {
+            consider(facet.values.map(value => index.get(value) || []), facet.values.length === 1);
+        }
+    });
+
+    let ids = [];
+    candidates.forEach(bucket => {
+        for (let k = 0; k < bucket.length; k++) {
+            if (matchesFilters(records[bucket[k]], filters)) ids.push(bucket[k]);
+        }
+    });
+
+    // Several region buckets interleave in the dataset; restore its order
+    if (!ordered) ids = ids.sort((a, b) => a - b);
+    return ids.map(i => records[i]);
+}
+
+// The filtered records themselves, for data export
+function filteredRecords({ filters }) {
+    return selectRecords(filters);
+}
+
+// ---- Incident table ----
+// The table pages through one filtered, searched and sorted list; it is kept until the query changes
+const INCIDENT_SEARCH_FIELDS = [
+    'city', 'country', 'region', 'groupName', 'nationality', 'attackType', 'targetType', 'weaponType',
+    'secondaryAttackTypes', 'secondaryTargetTypes', 'secondaryWeaponTypes'
+];
+const INCIDENT_NUMERIC_FIELDS = ['killed', 'wounded'];
+let incidentQuery = null;
+
+// Request: { filters, scope, search, sort: { field, descending }, offset, limit }. A scope narrows
+// the list to a map cluster ({ locations: [...] }) or to selection-style criteria ({ criteria: [...] }).
+function incidentRows({ filters, scope, search, sort, offset = 0, limit = 100 }) {
+    const key = JSON.stringify([filters, scope, search, sort]);
+    if (!incidentQuery || incidentQuery.key !== key) {
+        incidentQuery = { key: key, rows: queryIncidents(filters, scope, search, sort) };
+    }
+
+    const rows = incidentQuery.rows;
+    return { total: rows.length, offset: offset, rows: rows.slice(offset, offset + limit) };
+}
+
+function queryIncidents(filters, scope, search, sort) {
+    let data = selectRecords(filters);
+
+    if (scope && scope.locations) {
+        const locations = new Set(scope.locations);
+        data = data.filter(d => locations.has(fieldValue(d, 'location')));
+    } else if (scope && scope.criteria) {
+        data = data.filter(d => matchesSelection(d, scope.criteria));
+    }
+
+    const terms = (search || '').toLowerCase().split(/\s+/).filter(Boolean);
+    if (terms.length > 0) {
+        data = data.filter(d => {
+            const text = INCIDENT_SEARCH_FIELDS.map(field => d[field]).join(' ').toLowerCase();
+            return terms.every(term => text.includes(term));
+        });
+    }
+
+    // Array.prototype.sort is stable, so ties keep the dataset order
+    if (sort && sort.field) {
+        const direction = sort.descending ? -1 : 1;
+        const compare = incidentComparator(sort.field);
+        data = data.slice().sort((a, b) => direction * compare(a, b));
+    }
+    return data;
+}
+
+function incidentComparator(field) {
+    if (field === 'date') {
+        return (a, b) => a.year - b.year || a.month - b.month || a.day - b.day;
+    }
+    if (INCIDENT_NUMERIC_FIELDS.includes(field)) {
+        // Unknown amounts sort below zero
+        return (a, b) => (a[field] === null ? -1 : a[field]) - (b[field] === null ? -1 : b[field]);
+    }
+    return (a, b) => a[field] < b[field] ? -1 : a[field] > b[field] ? 1 : 0;
+}
+
+// Everything recorded for one perpetrator group, regardless of the current filters
+function groupProfile({ group }) {
+    const data = (groupIndex.get(group) || []).map(i => records[i]);
+    const years = new Map();
+    let killed = 0;
+    let wounded = 0;
+    let bounds = null;
+
+    data.forEach(d => {
+        years.set(d.year, (years.get(d.year) || 0) + 1);
+        killed += d.killed;
+        wounded += d.wounded;
+        if (!hasLocation(d)) return;
+        if (!bounds) {
+            bounds = [[d.longitude, d.latitude], [d.longitude, d.latitude]];
+        } else {
+            bounds[0][0] = Math.min(bounds[0][0], d.longitude);
+            bounds[0][1] = Math.min(bounds[0][1], d.latitude);
+            bounds[1][0] = Math.max(bounds[1][0], d.longitude);
+            bounds[1][1] = Math.max(bounds[1][1], d.latitude);
+        }
+    });
+
+    const yearList = [...years.keys()].sort((a, b) => a - b);
+    return {
+        group: group,
+        incidents: data.length,
+        killed: killed,
+        wounded: wounded,
+        firstYear: yearList.length > 0 ? yearList[0] : null,
+        lastYear: yearList.length > 0 ? yearList[yearList.length - 1] : null,
+        years: yearList.map(year => ({ year, count: years.get(year) })),
+        regions: countBy(data, 'region').slice(0, 5),
+        countries: countBy(data, 'country').slice(0, 5),
+        attackTypes: countTypes(data, 'attackType'),
+        bounds: bounds
+    };
+}
+
+function countIds(buckets) {
+    return buckets.reduce((sum, ids) => sum + ids.length, 0);
+}
+
+// ---- Linked selection ----
+// A selection is a list of criteria objects ({ field: value }); a record is selected
+// when it matches every field of at least one of them. A type matches any of a record's types.
+function fieldValue(d, field) {
+    if (field === 'continent') return regionToContinentMap[d.region] || 'Unknown';
+    if (field === 'location') return hasLocation(d) ? d.latitude.toFixed(2) + ',' + d.longitude.toFixed(2) : null;
+    if (field === 'weekday') return weekday(d);
+    return d[field];
+}
+
+function matchesSelection(d, selection) {
+    return selection.some(criteria =>
+        Object.keys(criteria).every(field => SECONDARY_TYPE_FIELDS[field] ?
+            typesOf(d, field).includes(criteria[field]) :
+            fieldValue(d, field) === criteria[field]));
+}
+
+// One flag per filtered record, or null when nothing is selected
+function markSelected(data, selection) {
+    if (!selection || selection.length === 0) return null;
+    return data.map(d => matchesSelection(d, selection));
+}
+
+// ==== AGGREGATIONS ====
+// Everything the views render for one filter state, computed in one request.
+// Each aggregate also carries a `selected` count for linked highlighting.
+function aggregate({ filters, currentYear, selection, map, sankey, heatmap, timeSeries, comparison }) {
+    // The quality report covers unlocated incidents whether or not the views include them
+    const all = selectRecords({ ...filters, includeUnlocated: true });
+    const data = filters.includeUnlocated ? all : all.filter(hasLocation);
+    const selected = markSelected(data, selection);
+
+    mapPoints = aggregateMapPoints(data, selected, currentYear);
+    clusterIndex = null;
+    const mapView = getMapClusters(map || {});
+
+    return {
+        stats: computeDashboardStats(data, selected),
+        map: mapView.points,
+        mapLevel: mapView.level,
+        mapRadius: mapView.radius,
+        countries: aggregateCountries(data, currentYear),
+        sankey: createSankeyData(data, selected, sankey),
+        heatmap: aggregateHeatmap(data, selected, heatmap),
+        timeSeries: aggregateTimeSeries(data, filters, timeSeries),
+        continents: aggregateDataByContinent(data, selected),
+        quality: aggregateQuality(all),
+        facets: facetCounts(filters),
+        // Comparison mode: the pinned baseline filters against the current ones
+        comparison: comparison ? {
+            baseline: comparisonSummary(selectRecords(comparison.filters), comparison.filters),
+            current: comparisonSummary(data, filters)
+        } : null
+    };
+}
+
+// Stats, attack-type mix and region-by-year incidents of one comparison filter set
+function comparisonSummary(data, filters) {
+    const cells = new Map();
+    data.forEach(d => {
+        const key = d.region + '|' + d.year;
+        const cell = cells.get(key);
+        if (cell) {
+            cell.count++;
+        } else {
+            cells.set(key, { row: d.region, column: d.year, count: 1 });
+        }
+    });
+
+    return {
+        startYear: filters.startYear,
+        endYear: filters.endYear,
+        stats: computeDashboardStats(data, null),
+        attackTypes: countTypes(data, 'attackType'),
+        heatmap: {
+            rows: [...new Set(data.map(d => d.region))].sort(),
+            columns: range(filters.startYear, filters.endYear + 1),
+            cells: Array.from(cells.values())
+        }
+    };
+}
+
+// Incidents per value of every facet, { key: { value: count } }. A facet's counts apply
+// every filter except its own, so they show what picking another value would match.
+function facetCounts(filters) {
+    const keys = Object.keys(FACET_FIELDS);
+    const counts = Object.fromEntries(keys.map(key => [key, {}]));
+    const count = (key, d) => typesOf(d, FACET_FIELDS[key]).forEach(value => {
+        counts[key][value] = (counts[key][value] || 0) + 1;
+    });
+
+    yearIndex.forEach((ids, year) => {
+        if (year < filters.startYear || year > filters.endYear) return;
+        ids.forEach(i => {
+            const d = records[i];
+            if (!(filters.includeUnlocated || hasLocation(d)) || !matchesFlags(d, filters)) return;
+
+            // Failing one facet still counts towards that facet; failing two counts nowhere
+            let failed = null;
+            for (const key of keys) {
+                if (matchesFacet(d, filters[key], key)) continue;
+                if (failed) return;
+                failed = key;
+            }
+            if (failed) {
+                count(failed, d);
+            } else {
+                keys.forEach(key => count(key, d));
+            }
+        });
+    });
+
+    return counts;
+}
+
+// Missing values per quality field, overall and per year and region
+function aggregateQuality(data) {
+    const fields = Object.keys(QUALITY_FIELDS);
+    const emptyGroup = key => ({ key: key, total: 0, missing: Object.fromEntries(fields.map(field => [field, 0])) });
+    const overall = emptyGroup('all');
+    const years = new Map();
+    const regions = new Map();
+
+    data.forEach(d => {
+        if (!years.has(d.year)) years.set(d.year, emptyGroup(d.year));
+        if (!regions.has(d.region)) regions.set(d.region, emptyGroup(d.region));
+        const groups = [overall, years.get(d.year), regions.get(d.region)];
+
+        groups.forEach(group => group.total++);
+        fields.forEach(field => {
+            if (QUALITY_FIELDS[field](d)) groups.forEach(group => group.missing[field]++);
+        });
+    });
+
+    return {
+        fields: fields,
+        overall: overall,
+        years: Array.from(years.values()).sort((a, b) => a.key - b.key),
+        regions: Array.from(regions.values()).sort((a, b) => b.total - a.total)
+    };
+}
+
+function computeDashboardStats(data, selected) {
+    const groups = new Set();
+    const regions = new Set();
+    let casualties = 0;
+    let unknownCasualties = 0;
+
+    data.forEach(d => {
+        // Unknown (null) amounts add nothing
+        casualties += d.killed + d.wounded;
+        if (d.killed === null || d.wounded === null) unknownCasualties++;
+        if (d.groupName !== 'Unknown') groups.add(d.groupName);
+        regions.add(d.region);
+    });
+
+    return {
+        incidents: data.length,
+        casualties: casualties,
+        unknownCasualties: unknownCasualties,
+        groups: groups.size,
+        regions: regions.size,
+        selected: selected ? selected.filter(Boolean).length : 0
+    };
+}
+
+// Incidents up to the current year, rolled up by rounded location
+function aggregateMapPoints(data, selected, currentYear) {
+    const locations = new Map();
+
+    data.forEach((d, i) => {
+        if (d.year > currentYear || !hasLocation(d)) return;
+        const key = d.latitude.toFixed(2) + ',' + d.longitude.toFixed(2);
+        let point = locations.get(key);
+        if (!point) {
+            point = {
+                latitude: parseFloat(d.latitude.toFixed(2)),
+                longitude: parseFloat(d.longitude.toFixed(2)),
+                count: 0,
+                killed: 0,
+                wounded: 0,
+                selected: 0,
+                attackType: d.attackType,
+                attackTypes: {},
+                city: d.city,
+                country: d.country
+            };
+            locations.set(key, point);
+        }
+        point.count++;
+        point.killed += d.killed;
+        point.wounded += d.wounded;
+        typesOf(d, 'attackType').forEach(type => {
+            point.attackTypes[type] = (point.attackTypes[type] || 0) + 1;
+        });
+        if (selected && selected[i]) point.selected++;
+    });
+
+    return Array.from(locations.values());
+}
+
+// Per-country totals for the choropleth, over the same years as the map points
+// One entry per country, or per successor state a dissolved state's incidents were placed in
+function aggregateCountries(data, currentYear) {
+    const countries = new Map();
+
+    data.forEach(d => {
+        if (d.year > currentYear) return;
+        const successor = successorOf.get(d);
+        const key = successor ? d.country + '|' + successor.name + '|' + successor.placed : d.country;
+        let entry = countries.get(key);
+        if (!entry) {
+            entry = { country: d.country, count: 0, killed: 0, wounded: 0 };
+            if (successor) Object.assign(entry, { successor: successor.name, placed: successor.placed });
+            countries.set(key, entry);
+        }
+        entry.count++;
+        entry.killed += d.killed;
+        entry.wounded += d.wounded;
+    });
+
+    return Array.from(countries.values());
+}
+
+// ---- Dissolved states on the country map ----
+// The map sends { successors: { state: [feature name, ...] }, features } once it has loaded.
+// Each incident filed under a dissolved state goes to the successor whose shape contains
+// it; one without a location, or outside every successor at this map's resolution, goes
+// to the first successor listed and is marked as not placed.
+let successorShapes = null;
+let successorOf = new Map();
+
+function setCountryShapes({ successors, features }) {
+    const byName = new Map(features.map(feature => [feature.properties.name, feature]));
+    successorShapes = new Map(Object.entries(successors).map(([country, names]) => [country, {
+        fallback: names[0],
+        features: names.map(name => byName.get(name)).filter(Boolean)
+    }]));
+    placeSuccessors();
+    return true;
+}
+
+function placeSuccessors() {
+    successorOf = new Map();
+    if (!successorShapes) return;
+
+    records.forEach(d => {
+        const shapes = successorShapes.get(d.country);
+        if (!shapes) return;
+        const feature = hasLocation(d) ?
+            shapes.features.find(f => d3.geoContains(f, [d.longitude, d.latitude])) : null;
+        successorOf.set(d, feature ?
+            { name: feature.properties.name, placed: true } :
+            { name: shapes.fallback, placed: false });
+    });
+}
+
+// ---- Map clustering ----
+// Supercluster-style hierarchy over the map locations. Cluster level z matches a
+// d3.zoom scale of 2^(z / 2); above CLUSTER_MAX_LEVEL locations are returned as-is.
+// Positions are Web Mercator coordinates in the unit square, so the clustering
+// radius (given in the same units at zoom scale 1) shrinks by 2^(z / 2) per level.
+const CLUSTER_MAX_LEVEL = 6;
+let mapPoints = [];
+let clusterIndex = null;
+// Every index gets a generation that its clusters carry. A bubble clicked while a newer
+// aggregate or zoom replaced the index still resolves against the one it was drawn from.
+const CLUSTER_INDEXES_KEPT = 4;
+let clusterGeneration = 0;
+const clusterIndexes = new Map();
+
+// Request: { level, radius }. Built lazily and reused until the next aggregate.
+function getMapClusters({ level = 0, radius = 0 }) {
+    if (!radius || level > CLUSTER_MAX_LEVEL) {
+        return { points: mapPoints, level: level, radius: radius };
+    }
+    if (!clusterIndex || clusterIndex.radius !== radius) {
+        clusterIndex = buildClusterIndex(mapPoints, radius);
+        clusterIndexes.set(clusterIndex.generation, clusterIndex);
+        if (clusterIndexes.size > CLUSTER_INDEXES_KEPT) clusterIndexes.delete(clusterIndexes.keys().next().value);
+    }
+    const generation = clusterIndex.generation;
+    const points = clusterIndex.levels[Math.max(0, level)].map(node =>
+        node.cluster ? clusterOutput(node, generation) : node.point);
+    return { points: points, level: level, radius: radius };
+}
+
+// Leaves keep their map point, so an index stays usable after mapPoints is replaced
+function buildClusterIndex(points, radius) {
+    let nodes = points.map(p => ({
+        x: p.longitude / 360 + 0.5,
+        y: mercatorY(p.latitude),
+        count: p.count,
+        point: p
+    }));
+    // Heaviest locations seed clusters first so bubbles sit on the hot spots
+    nodes.sort((a, b) => b.count - a.count);
+
+    const levels = [];
+    let nextId = 0;
+    for (let level = CLUSTER_MAX_LEVEL; level >= 0; level--) {
+        const r = radius / Math.pow(2, level / 2);
+        nodes = clusterNodes(nodes, r, level, () => nextId++).sort((a, b) => b.count - a.count);
+        levels[level] = nodes;
+    }
+    return { generation: ++clusterGeneration, radius: radius, levels: levels };
+}
+
+// Greedy single pass: every unclaimed node absorbs its unclaimed neighbours within r
+function clusterNodes(nodes, r, level, newId) {
+    const grid = new Map();
+    const cellKey = (cx, cy) => cx + ':' + cy;
+    nodes.forEach(node => {
+        const key = cellKey(Math.floor(node.x / r), Math.floor(node.y / r));
+        const cell = grid.get(key);
+        if (cell) {
+            cell.push(node);
+        } else {
+            grid.set(key, [node]);
+        }
+    });
+
+    const claimed = new Set();
+    const result = [];
+    nodes.forEach(node => {
+        if (claimed.has(node)) return;
+        claimed.add(node);
+
+        const cx = Math.floor(node.x / r);
+        const cy = Math.floor(node.y / r);
+        const neighbours = [];
+        for (let dx = -1; dx <= 1; dx++) {
+            for (let dy = -1; dy <= 1; dy++) {
+                (grid.get(cellKey(cx + dx, cy + dy)) || []).forEach(other => {
+                    if (claimed.has(other)) return;
+                    if (Math.hypot(other.x - node.x, other.y - node.y) <= r) {
+                        claimed.add(other);
+                        neighbours.push(other);
+                    }
+                });
+            }
+        }
+
+        result.push(neighbours.length === 0 ? node : mergeNodes([node].concat(neighbours), level, newId()));
+    });
+    return result;
+}
+
+function mergeNodes(members, level, id) {
+    const cluster = {
+        cluster: true,
+        id: id,
+        x: 0,
+        y: 0,
+        count: 0,
+        killed: 0,
+        wounded: 0,
+        selected: 0,
+        locations: 0,
+        attackTypes: {},
+        // Its members separate again one level further in
+        expansionLevel: level + 1,
+        members: members
+    };
+
+    members.forEach(m => {
+        const source = m.cluster ? m : m.point;
+        cluster.x += m.x * m.count;
+        cluster.y += m.y * m.count;
+        cluster.count += source.count;
+        cluster.killed += source.killed;
+        cluster.wounded += source.wounded;
+        cluster.selected += source.selected;
+        cluster.locations += m.cluster ? m.locations : 1;
+        Object.keys(source.attackTypes).forEach(type => {
+            cluster.attackTypes[type] = (cluster.attackTypes[type] || 0) + source.attackTypes[type];
+        });
+    });
+    cluster.x /= cluster.count;
+    cluster.y /= cluster.count;
+    return cluster;
+}
+
+function clusterOutput(node, generation) {
+    return {
+        cluster: true,
+        id: node.id,
+        generation: generation,
+        latitude: mercatorLatitude(node.y),
+        longitude: (node.x - 0.5) * 360,
+        count: node.count,
+        killed: node.killed,
+        wounded: node.wounded,
+        selected: node.selected,
+        locations: node.locations,
+        attackTypes: node.attackTypes,
+        expansionLevel: node.expansionLevel
+    };
+}
+
+// Location keys (as in fieldValue) of every map location inside a cluster. Request:
+// { id, generation } of the index the cluster came from; null once that index is dropped.
+function clusterLocations({ id, generation }) {
+    const index = clusterIndexes.get(generation);
+    if (!index) return null;
+
+    let node = null;
+    index.levels.some(nodes => {
+        node = nodes.find(n => n.cluster && n.id === id) || null;
+        return node !== null;
+    });
+    if (!node) return null;
+
+    const locations = [];
+    const collect = n => {
+        if (n.cluster) {
+            n.members.forEach(collect);
+        } else {
+            locations.push(n.point.latitude.toFixed(2) + ',' + n.point.longitude.toFixed(2));
+        }
+    };
+    collect(node);
+    return locations;
+}
+
+function mercatorY(latitude) {
+    const sin = Math.sin(latitude * Math.PI / 180);
+    const y = 0.5 - 0.25 * Math.log((1 + sin) / (1 - sin)) / Math.PI;
+    return Math.min(1, Math.max(0, y));
+}
+
+function mercatorLatitude(y) {
+    return Math.atan(Math.sinh((0.5 - y) * 2 * Math.PI)) * 180 / Math.PI;
+}
+
+// Options: { dimensions: [field, ...], topN, value: 'count' | 'casualties' }. Values outside
+// a stage's top N are pooled into an "Other" node. An incident with secondary types splits
+// its weight evenly over every combination of its types, so each stage still adds up to the
+// incident (or casualty) total and a node's value is its share of it.
+const SANKEY_DEFAULT_DIMENSIONS = ['attackType', 'targetType', 'weaponType'];
+const SANKEY_OTHER = '__other__';
+
+const sankeyValueLabels = {
+    success: value => value ? 'Successful' : 'Failed',
+    suicide: value => value ? 'Suicide attack' : 'Not suicide'
+};
+
+function createSankeyData(data, selected, options = {}) {
+    const dimensions = options.dimensions && options.dimensions.length >= 2 ?
+        options.dimensions : SANKEY_DEFAULT_DIMENSIONS;
+    const topN = options.topN || 5;
+    const weight = options.value === 'casualties' ? d => d.killed + d.wounded : () => 1;
+
+    // Leading values of each stage by the chosen measure
+    const stageValues = dimensions.map(field => {
+        const totals = new Map();
+        data.forEach(d => {
+            const values = typesOf(d, field);
+            values.forEach(value => totals.set(value, (totals.get(value) || 0) + weight(d) / values.length));
+        });
+        return new Set(Array.from(totals)
+            .filter(entry => entry[1] > 0)
+            .sort((a, b) => b[1] - a[1])
+            .slice(0, topN)
+            .map(entry => entry[0]));
+    });
+
+    // Nodes are created on first use, so stages only hold values that carry flow
+    const nodes = [];
+    const nodeIds = dimensions.map(() => new Map());
+    const nodeFor = (stage, value) => {
+        const field = dimensions[stage];
+        const key = stageValues[stage].has(value) ? value : SANKEY_OTHER;
+        let id = nodeIds[stage].get(key);
+        if (id === undefined) {
+            id = nodes.length;
+            nodes.push({
+                id: id,
+                name: sankeyNodeName(field, key),
+                key: key === SANKEY_OTHER ? null : key,
+                other: key === SANKEY_OTHER,
+                category: field,
+                stage: stage
+            });
+            nodeIds[stage].set(key, id);
+        }
+        return id;
+    };
+
+    const links = new Map();
+    data.forEach((d, i) => {
+        if (weight(d) === 0) return;
+        const isSelected = selected ? selected[i] : false;
+        const paths = sankeyPaths(d, dimensions);
+        const value = weight(d) / paths.length;
+
+        paths.forEach(path => {
+            let source = nodeFor(0, path[0]);
+            for (let stage = 1; stage < dimensions.length; stage++) {
+                const target = nodeFor(stage, path[stage]);
+                const key = source + '-' + target;
+                let link = links.get(key);
+                if (!link) {
+                    link = { source: source, target: target, value: 0, selectedValue: 0 };
+                    links.set(key, link);
+                }
+                link.value += value;
+                if (isSelected) link.selectedValue += value;
+                source = target;
+            }
+        });
+    });
+
+    return {
+        nodes: nodes,
+        links: Array.from(links.values()),
+        dimensions: dimensions,
+        value: options.value === 'casualties' ? 'casualties' : 'count'
+    };
+}
+
+// Every combination of a record's values across the stages, one value per stage
+function sankeyPaths(d, dimensions) {
+    return dimensions.reduce((paths, field) => {
+        const values = typesOf(d, field);
+        return paths.flatMap(path => values.map(value => path.concat([value])));
+    }, [[]]);
+}
+
+function sankeyNodeName(field, key) {
+    if (key === SANKEY_OTHER) return 'Other';
+    return sankeyValueLabels[field] ? sankeyValueLabels[field](key) : key;
+}
+
+// Day of week (0 = Monday ... 6 = Sunday), or null when the day or month is unknown or invalid
+function weekday(d) {
+    if (!d.month || !d.day) return null;
+    const date = new Date(Date.UTC(d.year, d.month - 1, d.day));
+    if (date.getUTCMonth() !== d.month - 1) return null;
+    return (date.getUTCDay() + 6) % 7;
+}
+
+// Column of a record on the heatmap time axis; null when the record can't be placed on it
+function heatmapColumn(d, time) {
+    if (time === 'month') return d.month || null;
+    if (time === 'weekday') return weekday(d);
+    return d.year;
+}
+
+function heatmapColumns(time) {
+    if (time === 'month') return range(1, 13);
+    if (time === 'weekday') return range(0, 7);
+    return range(firstYear, lastYear + 1);
+}
+
+function range(start, stop) {
+    const values = [];
+    for (let value = start; value < stop; value++) values.push(value);
+    return values;
+}
+
+// `property` counts incidents with property damage; the rest are sums (unknown property values as 0)
+function emptyHeatmapCell() {
+    return { count: 0, casualties: 0, killed: 0, wounded: 0, property: 0, propertyValue: 0, hostages: 0, selected: 0 };
+}
+
+// Row x time matrix with the raw sums every heatmap metric is derived from.
+// Options: { region: drill into that region's countries (null = all regions), time: 'year' | 'month' | 'weekday' }
+function aggregateHeatmap(data, selected, options = {}) {
+    const time = options.time === 'month' || options.time === 'weekday' ? options.time : 'year';
+    const region = options.region || null;
+    const rowField = region ? 'country' : 'region';
+    const cells = new Map();
+    const rows = new Set();
+    let undated = 0;
+
+    data.forEach((d, i) => {
+        if (region && d.region !== region) return;
+        const row = d[rowField];
+        rows.add(row);
+
+        const column = heatmapColumn(d, time);
+        if (column === null) {
+            undated++;
+            return;
+        }
+
+        const key = column + '|' + row;
+        let cell = cells.get(key);
+        if (!cell) {
+            cell = emptyHeatmapCell();
+            cells.set(key, cell);
+        }
+        cell.count++;
+        cell.casualties += d.killed + d.wounded;
+        cell.killed += d.killed;
+        cell.wounded += d.wounded;
+        if (d.property) cell.property++;
+        cell.propertyValue += d.propertyValue || 0;
+        cell.hostages += d.hostages;
+        if (selected && selected[i]) cell.selected++;
+    });
+
+    const rowList = [...rows].sort();
+    const columns = heatmapColumns(time);
+
+    const matrix = [];
+    columns.forEach(column => {
+        rowList.forEach(row => {
+            const cell = cells.get(column + '|' + row) || emptyHeatmapCell();
+            matrix.push({ column, row, ...cell });
+        });
+    });
+
+    return { region, rowField, columnField: time, rows: rowList, columns, undated, cells: matrix };
+}
+
+// ---- Time series: one line per series across the filtered years ----
+// Options: { time: 'year' | 'month', measure: 'count' | 'killed' | 'wounded',
+// split: record field to compare by ('' = a single total series), topN: series to keep }
+// Periods are years, or months counted as year * 12 + (month - 1).
+function aggregateTimeSeries(data, filters, options = {}) {
+    const time = options.time === 'month' ? 'month' : 'year';
+    const measure = options.measure === 'killed' || options.measure === 'wounded' ? options.measure : 'count';
+    const split = options.split || '';
+    const topN = Math.max(1, Math.min(8, options.topN || 5));
+    const amount = d => measure === 'count' ? 1 : d[measure];
+
+    const periods = [];
+    for (let year = filters.startYear; year <= filters.endYear; year++) {
+        if (time === 'month') {
+            for (let month = 0; month < 12; month++) periods.push(year * 12 + month);
+        } else {
+            periods.push(year);
+        }
+    }
+
+    // Compared series are the split field's top values by the chosen measure
+    let keys = ['All incidents'];
+    if (split) {
+        const totals = new Map();
+        data.forEach(d => typesOf(d, split).forEach(key => totals.set(key, (totals.get(key) || 0) + amount(d))));
+        keys = [...totals].sort((a, b) => b[1] - a[1]).slice(0, topN).map(entry => entry[0]);
+    }
+
+    const series = new Map(keys.map(key => [key, new Array(periods.length).fill(0)]));
+    let undated = 0;
+
+    data.forEach(d => {
+        const lines = (split ? typesOf(d, split) : keys).map(key => series.get(key)).filter(Boolean);
+        if (lines.length === 0) return;
+        if (time === 'month' && !d.month) {
+            undated++;
+            return;
+        }
+        const i = (time === 'month' ? d.year * 12 + d.month - 1 : d.year) - periods[0];
+        if (i >= 0 && i < periods.length) lines.forEach(values => { values[i] += amount(d); });
+    });
+
+    return {
+        time,
+        measure,
+        split,
+        periods,
+        undated,
+        series: keys.map(key => ({ key, values: series.get(key) }))
+    };
+}
+
+// ---- Pie chart hierarchy: continent -> top countries -> attack types ----
+// An incident with several attack types is split evenly between them, so a country's
+// attack-type slices still add up to its incidents and casualties
+function aggregateDataByContinent(data, selected) {
+    const continentData = new Map();
+
+    data.forEach((d, i) => {
+        const isSelected = selected ? selected[i] : false;
+        const continent = regionToContinentMap[d.region] || 'Unknown';
+        let agg = continentData.get(continent);
+        if (!agg) {
+            agg = { continent: continent, count: 0, killed: 0, wounded: 0, selected: 0, countries: new Map() };
+            continentData.set(continent, agg);
+        }
+        addIncident(agg, d, isSelected);
+
+        let country = agg.countries.get(d.country);
+        if (!country) {
+            country = { country: d.country, continent: continent, count: 0, killed: 0, wounded: 0, selected: 0, attackTypes: new Map() };
+            agg.countries.set(d.country, country);
+        }
+        addIncident(country, d, isSelected);
+
+        const attackTypes = typesOf(d, 'attackType');
+        attackTypes.forEach(attackType => {
+            let attack = country.attackTypes.get(attackType);
+            if (!attack) {
+                attack = { attackType: attackType, country: d.country, count: 0, killed: 0, wounded: 0, selected: 0, cities: new Map() };
+                country.attackTypes.set(attackType, attack);
+            }
+            addIncident(attack, d, isSelected, 1 / attackTypes.length);
+            attack.cities.set(d.city, (attack.cities.get(d.city) || 0) + 1 / attackTypes.length);
+        });
+    });
+
+    return Array.from(continentData.values(), agg => ({
+        continent: agg.continent,
+        count: agg.count,
+        killed: agg.killed,
+        wounded: agg.wounded,
+        selected: agg.selected,
+        countries: aggregateDataByCountry(agg.countries)
+    }));
+}
+
+function aggregateDataByCountry(countries) {
+    return Array.from(countries.values())
+        .sort((a, b) => b.count - a.count)
+        .slice(0, 10) // Top 10
+        .map(country => ({
+            country: country.country,
+            continent: country.continent,
+            count: country.count,
+            killed: country.killed,
+            wounded: country.wounded,
+            selected: country.selected,
+            attackTypes: aggregateDataByAttackType(country.attackTypes)
+        }));
+}
+
+function aggregateDataByAttackType(attackTypes) {
+    return Array.from(attackTypes.values(), attack => ({
+        attackType: attack.attackType,
+        country: attack.country,
+        count: attack.count,
+        killed: attack.killed,
+        wounded: attack.wounded,
+        selected: attack.selected,
+        topCities: Array.from(attack.cities, ([city, count]) => ({ city, count }))
+            .sort((a, b) => b.count - a.count)
+            .slice(0, 3)
+    }));
+}
+
+// `share` is the part of the incident credited to agg
+function addIncident(agg, d, isSelected, share = 1) {
+    agg.count += share;
+    agg.killed += d.killed * share;
+    agg.wounded += d.wounded * share;
+    if (isSelected) agg.selected += share;
+}
+
+// ==== UTILITY FUNCTIONS ====
+// [{ name, count }] for each value of a field, most frequent first
+function countBy(data, field) {
+    const counts = new Map();
+    data.forEach(d => counts.set(d[field], (counts.get(d[field]) || 0) + 1));
+    return Array.from(counts, ([name, count]) => ({ name, count }))
+        .sort((a, b) => b.count - a.count);
+}
+
+// Like countBy for a type field, counting secondary types too: an incident adds one to each of its types
+function countTypes(data, field) {
+    const counts = new Map();
+    data.forEach(d => typesOf(d, field).forEach(type => counts.set(type, (counts.get(type) || 0) + 1)));
+    return Array.from(counts, ([name, count]) => ({ name, count }))
+        .sort((a, b) => b.count - a.count);
+}
@@ -1,13 +1,88 @@
 // Global Terrorism Data Visualization
 // Interactive multi-view analysis system
 
-let globalData = [];
-let filteredData = [];
-let currentYear = 2020;
-let startYear = 1970;
-let endYear = 2020;
-let animationInterval = null;
-let isPlaying = false;
+// ==== STATE STORE ====
+// One state object owns the year range, animation frame, filters and linked selections.
+// Controls change it through dispatch(); the store asks the aggregation engine for the
+// matching aggregates and hands them to every registered view, so filtering, animation,
+// resize and new views all run through the same pipeline.
+
+// First and last year of the loaded dataset; the GTD's span until one is indexed
+let datasetYears = { start: 1970, end: 2020 };
+
+const appState = {
+    startYear: datasetYears.start,
+    endYear: datasetYears.end,
+    currentYear: datasetYears.end,
+    isPlaying: false,
+    // Paused on an animation frame (after playing, stepping or scrubbing): the views cover
+    // the frame's years rather than the full startYear..endYear range
+    timelineFrame: false,
+    // Faceted filters are { values: [] (empty = all), exclude }; see facetFilters
+    filters: {
+        region: { values: [], exclude: false },
+        country: { values: [], exclude: false },
+        attackType: { values: [], exclude: false },
+        targetType: { values: [], exclude: false },
+        weaponType: { values: [], exclude: false },
+        group: { values: [], exclude: false }
+    },
+    // Years each animation frame covers; 0 = cumulative from startYear
+    frameWindow: 0,
+    // Linked selections: { key, criteria, label }
+    selections: [],
+    // Comparison mode: the pinned baseline { startYear, endYear, filters }; null when off
+    comparison: null
+};
+
+// Aggregates for the current state, as returned by the aggregation engine
+let viewData = null;
+let animationTimer = null;
+let isInitialized = false;
+
+const stateListeners = [];
+const views = [];
+
+// Listeners run synchronously after every change with (state, change); controls use
+// them to mirror the state
+function subscribe(listener) {
+    stateListeners.push(listener);
+}
+
+// A view renders from viewData and appState; `resize` refits it to its container first
+function registerView(name, render, resize) {
+    views.push({ name, render, resize });
+}
+
+// Merge a change into the state (`filters` field by field), notify listeners, record
+// the URL and re-aggregate. Options: record (false for transient state such as
+// selections and animation ticks), replace (replace the history entry) and
+// update (false when the change doesn't affect the aggregates). Resolves to
+// false when the views could not be updated.
+function dispatch(change, options = {}) {
+    const { filters, ...rest } = change;
+    Object.assign(appState, rest);
+    if (filters) appState.filters = { ...appState.filters, ...filters };
+
+    stateListeners.forEach(listener => listener(appState, change));
+
+    if (options.record !== false) recordViewState({ replace: options.replace });
+    return options.update === false ? Promise.resolve(true) : updateAll();
+}
+
+function renderViews() {
+    views.forEach(view => {
+        console.log('Updating ' + view.name + '...');
+        view.render(viewData, appState);
+    });
+}
+
+function resizeViews() {
+    views.forEach(view => {
+        if (view.resize) view.resize();
+        view.render(viewData, appState);
+    });
+}
 
 // Pie chart state for hierarchical visualization
 let pieChartState = {
@@ -28,23 +103,6 @@ const attackColors = {
     'Unknown': '#999999'
 };
 
-// Region to Continent mapping
-const regionToContinentMap = {
-    'North America': 'North America',
-    'Central America & Caribbean': 'North America',
-    'South America': 'South America',
-    'Western Europe': 'Europe',
-    'Eastern Europe': 'Europe',
-    'Middle East & North Africa': 'Africa',
-    'Sub-Saharan Africa': 'Africa',
-    'South Asia': 'Asia',
-    'Southeast Asia': 'Asia',
-    'East Asia': 'Asia',
-    'Central Asia': 'Asia',
-    'Australasia & Oceania': 'Oceania',
-    'Russia & Newly Independent States (NIS)': 'Europe'
-};
-
 // Academic color palette for continents
 const continentColors = {
     'North America': '#1f78b4',
@@ -70,105 +128,506 @@ const attackTypeGradients = {
 
 // Main initialization function
 async function init() {
+    setupDataSourceControls();
+    setupExportControls();
+    setupFacetControls();
+    setupRecordingControls();
+    setupSankeyControls();
+    setupHeatmapControls();
+    setupTimeSeriesControls();
+    setupIncidentTable();
+    setupQualityPanel();
+    setupComparisonControls();
+    setupSavedViews();
+
+    subscribe(syncYearControls);
+    subscribe(syncFilterControls);
+    subscribe(syncComparisonControls);
+    subscribe((state, change) => {
+        if ('selections' in change) renderSelectionBar();
+        if (change.filters && 'group' in change.filters) updateGroupProfile();
+    });
+
+    await start();
+}
+
+// Load data and bring up the dashboard; re-entered when the user picks a local
+// file after every configured source failed
+async function start(options = {}) {
     try {
         console.log('Starting initialization...');
         showLoading(true);
 
-        await loadData();
+        await loadData(options);
         console.log('Data loaded successfully');
 
-        initAll();
-        console.log('Visualizations initialized');
+        if (!isInitialized) {
+            // Restore a shared view from the URL hash
+            applyViewState(parseViewState(window.location.hash));
 
-        setupControls();
-        console.log('Controls set up');
+            initAll();
+            console.log('Visualizations initialized');
 
-        updateAll();
+            setupControls();
+            console.log('Controls set up');
+            isInitialized = true;
+        }
+
+        await updateAll();
         console.log('Initial update complete');
 
         showLoading(false);
     } catch (error) {
         console.error('Initialization error:', error);
+        showLoadError(error);
+    }
+}
+
+// Replace the loaded dataset (local file or cache bypass) once the dashboard is running
+async function reloadData(options = {}) {
+    if (!isInitialized) {
+        return start(options);
+    }
+
+    try {
+        stopAnim();
+        showLoading(true);
+        await loadData(options);
+        // A baseline pinned on the old dataset may name values the new one lacks
+        dispatch({ comparison: null }, { record: false, update: false });
+        resetFilters();
         showLoading(false);
-        alert('Error loading visualization: ' + error.message + '\nCheck console for details.');
+    } catch (error) {
+        console.error('Reload error:', error);
+        showLoadError(error);
     }
 }
 
 // Load and process data
-async function loadData() {
+async function loadData(options = {}) {
     try {
-        console.log('Loading CSV data...');
-        const data = await d3.csv('https://media.githubusercontent.com/media/hirthickraj2015/data_viz_final_project/main/data/dataset.csv');
-        console.log('CSV loaded, processing ' + data.length + ' rows...');
-
-        if (!data || data.length === 0) {
-            throw new Error('No data loaded from CSV file');
-        }
+        const sources = options.file ? [createFileSource(options.file)] : getConfiguredSources();
+        const result = await loadFromSources(sources, options);
+        console.log('Loaded ' + result.records.length + ' records from ' + result.label +
+            (result.fromCache ? ' (cache)' : ''));
 
-        globalData = data.map(d => ({
-            year: +d.iyear || 0,
-            region: d.region_txt || 'Unknown',
-            city: d.city || 'Unknown',
-            latitude: parseFloat(d.latitude) || 0,
-            longitude: parseFloat(d.longitude) || 0,
-            attackType: d.attacktype1_txt || 'Unknown',
-            targetType: d.targtype1_txt || 'Unknown',
-            weaponType: d.weaptype1_txt || 'Unknown',
-            groupName: d.gname || 'Unknown',
-            killed: +d.nkill || 0,
-            wounded: +d.nwound || 0,
-            country: d.country_txt || 'Unknown'
-        })).filter(d => d.latitude !== 0 && d.longitude !== 0 && d.year >= 1970 && d.year <= 2020);
-
-        console.log('Filtered to ' + globalData.length + ' valid incidents');
-
-        if (globalData.length === 0) {
+        if (result.records.length === 0) {
             throw new Error('No valid data after filtering');
         }
 
-        filteredData = globalData;
-        populateFilters();
-        console.log('Loaded ' + globalData.length + ' incidents');
+        // Hand the records to the aggregation engine; the main thread keeps no copy
+        showLoading(true, 'Indexing ' + result.records.length.toLocaleString() + ' incidents...');
+        const summary = await engineRequest('load', { records: result.records });
+
+        dataQuality = result.quality;
+        updateDataSourceStatus(result);
+        setDatasetYears(summary.domains.years);
+        populateFilters(summary.domains);
+        console.log('Loaded ' + summary.count + ' incidents');
     } catch (error) {
         console.error('Data loading error:', error);
         throw new Error('Failed to load data: ' + error.message);
     }
 }
 
-// Populate filter dropdowns
-function populateFilters() {
-    const regions = [...new Set(globalData.map(d => d.region))].sort();
-    const regionSelect = d3.select('#regionFilter');
+// ==== AGGREGATION ENGINE ====
+// The record store lives in a Web Worker (js/aggregation-worker.js); views only
+// ever receive the aggregates it sends back
+let engineWorker = null;
+let engineRequestId = 0;
+const pendingEngineRequests = new Map();
+
+function getEngine() {
+    if (engineWorker) return engineWorker;
+
+    engineWorker = new Worker('js/aggregation-worker.js?v=5.9');
+    engineWorker.onmessage = event => {
+        const { id, result, error } = event.data;
+        const pending = pendingEngineRequests.get(id);
+        if (!pending) return;
+
+        pendingEngineRequests.delete(id);
+        if (error) {
+            pending.reject(new Error(error));
+        } else {
+            pending.resolve(result);
+        }
+    };
+    engineWorker.onerror = event => {
+        console.error('Aggregation engine error:', event.message);
+        pendingEngineRequests.forEach(pending => pending.reject(new Error('Aggregation engine failed: ' + event.message)));
+        pendingEngineRequests.clear();
+    };
+    return engineWorker;
+}
+
+function engineRequest(type, payload) {
+    return new Promise((resolve, reject) => {
+        const id = ++engineRequestId;
+        pendingEngineRequests.set(id, { resolve, reject });
+        getEngine().postMessage({ id, type, payload });
+    });
+}
+
+// ==== DATA SOURCES ====
+// Columns read from the GTD export; everything else is skipped while parsing
+const RECORD_COLUMNS = [
+    'iyear', 'imonth', 'iday', 'region_txt', 'city', 'latitude', 'longitude',
+    'attacktype1_txt', 'attacktype2_txt', 'attacktype3_txt',
+    'targtype1_txt', 'targtype2_txt', 'targtype3_txt',
+    'weaptype1_txt', 'weaptype2_txt', 'weaptype3_txt',
+    'gname', 'nperps', 'natlty1_txt', 'nkill', 'nwound', 'country_txt',
+    'success', 'suicide', 'multiple', 'property', 'propvalue', 'ishostkid', 'nhostkid', 'summary'
+];
+
+// Bump whenever normalizeRecord or exclusionReason changes so stale IndexedDB caches are ignored
+const RECORD_SCHEMA_VERSION = 7;
+
+// The GTD starts in 1970; earlier (or future) years are data entry errors
+const FIRST_GTD_YEAR = 1970;
+
+const DATA_SOURCE_CONFIG = {
+    bundledPath: 'data/dataset.csv',
+    // Git LFS media URL, used when the bundled file is missing or only an LFS pointer
+    remoteUrl: 'https://media.githubusercontent.com/media/hirthickraj2015/data_viz_final_project/main/data/dataset.csv',
+    cacheDb: 'gtd-ecosystem',
+    cacheStore: 'datasets',
+    lastSourceKey: 'gtd-last-data-source'
+};
+
+function normalizeRecord(d) {
+    const latitude = parseFloat(d.latitude) || 0;
+    const longitude = parseFloat(d.longitude) || 0;
+    // Zero stands in for a missing coordinate in the GTD
+    const located = latitude !== 0 && longitude !== 0;
+
+    return {
+        year: +d.iyear || 0,
+        // 0 when the month or day is unknown
+        month: +d.imonth || 0,
+        day: +d.iday || 0,
+        region: d.region_txt || 'Unknown',
+        city: d.city || 'Unknown',
+        // null when unknown: the incident stays out of the map
+        latitude: located ? latitude : null,
+        longitude: located ? longitude : null,
+        attackType: d.attacktype1_txt || 'Unknown',
+        targetType: d.targtype1_txt || 'Unknown',
+        weaponType: d.weaptype1_txt || 'Unknown',
+        // Up to two more types each, in GTD order
+        secondaryAttackTypes: [d.attacktype2_txt, d.attacktype3_txt].filter(Boolean),
+        secondaryTargetTypes: [d.targtype2_txt, d.targtype3_txt].filter(Boolean),
+        secondaryWeaponTypes: [d.weaptype2_txt, d.weaptype3_txt].filter(Boolean),
+        groupName: d.gname || 'Unknown',
+        perpetrators: knownAmount(d.nperps),
+        nationality: d.natlty1_txt || 'Unknown',
+        // null when unknown, which sums treat as 0 and the data quality panel reports
+        killed: knownAmount(d.nkill),
+        wounded: knownAmount(d.nwound),
+        property: d.property === '1',
+        propertyValue: knownAmount(d.propvalue),
+        hostageTaken: d.ishostkid === '1',
+        // -99 marks an unknown hostage count
+        hostages: Math.max(0, +d.nhostkid || 0),
+        country: d.country_txt || 'Unknown',
+        success: d.success === '1',
+        suicide: d.suicide === '1',
+        multiple: d.multiple === '1',
+        summary: d.summary || ''
+    };
+}
+
+// The GTD writes unknown amounts as -99 (or -9); those and blanks become null
+function knownAmount(value) {
+    const number = parseFloat(value);
+    return Number.isFinite(number) && number >= 0 ? number : null;
+}
+
+// Why a normalized row is left out of the dataset, or null when it is kept
+function exclusionReason(d) {
+    if (!d.year) return 'missingYear';
+    if (d.year < FIRST_GTD_YEAR || d.year > new Date().getFullYear()) return 'yearOutOfRange';
+    return null;
+}
+
+// Configured sources in priority order. `?data=<url>` replaces the remote URL.
+function getConfiguredSources() {
+    const params = new URLSearchParams(window.location.search);
+    const remoteUrl = params.get('data') || DATA_SOURCE_CONFIG.remoteUrl;
+
+    return [
+        createUrlSource('bundled', 'bundled dataset', DATA_SOURCE_CONFIG.bundledPath),
+        createUrlSource('url', 'remote dataset', remoteUrl)
+    ];
+}
+
+function createUrlSource(id, label, url) {
+    return {
+        id: id,
+        label: label,
+        key: id + ':' + url,
+        open: async () => {
+            const response = await fetch(url);
+            if (!response.ok) {
+                throw new Error('HTTP ' + response.status + ' for ' + url);
+            }
+            // Content-Length is the compressed size when the server gzips, so progress is approximate
+            return { stream: response.body, size: +response.headers.get('content-length') || 0 };
+        }
+    };
+}
+
+function createFileSource(file) {
+    return {
+        id: 'file',
+        label: file.name,
+        key: ['file', file.name, file.size, file.lastModified].join(':'),
+        open: async () => ({ stream: file.stream(), size: file.size })
+    };
+}
+
+async function loadFromSources(sources, options = {}) {
+    if (!options.bypassCache) {
+        const lastKey = localStorage.getItem(DATA_SOURCE_CONFIG.lastSourceKey);
+        // Without an explicit file, the last used source (possibly a local file) wins
+        const keys = options.file ? sources.map(s => s.key) : [lastKey, ...sources.map(s => s.key)];
+
+        for (const key of [...new Set(keys.filter(Boolean))]) {
+            showLoading(true, 'Checking local cache...');
+            const cached = await readCachedRecords(key);
+            if (cached) {
+                return { records: cached.records, quality: cached.quality, label: cached.label, key: key, fromCache: true };
+            }
+        }
+    }
+
+    const errors = [];
+    for (const source of sources) {
+        try {
+            const { records, quality } = await parseSource(source);
+            rememberSource(source.key);
+            writeCachedRecords(source.key, source.label, records, quality);
+            return { records: records, quality: quality, label: source.label, key: source.key, fromCache: false };
+        } catch (error) {
+            console.warn('Data source "' + source.label + '" failed:', error);
+            errors.push(source.label + ': ' + error.message);
+        }
+    }
+
+    throw new Error(errors.join('; '));
+}
+
+function rememberSource(key) {
+    try {
+        localStorage.setItem(DATA_SOURCE_CONFIG.lastSourceKey, key);
+    } catch (error) {
+        console.warn('Could not remember data source:', error);
+    }
+}
+
+// Stream the CSV, parsing complete rows as they arrive so a 200 MB file never sits in memory as one string.
+// Resolves to { records, quality: { rows, excluded: { reason: count } } }.
+async function parseSource(source) {
+    showLoading(true, 'Opening ' + source.label + '...');
+    const { stream, size } = await source.open();
+    const reader = stream.getReader();
+    const decoder = new TextDecoder('utf-8');
+    const splitter = createCsvChunkSplitter();
+    const records = [];
+    const quality = { rows: 0, excluded: {} };
+    let columns = null;
+    let loaded = 0;
+    let lastYield = performance.now();
+
+    const handleRows = rows => {
+        rows.forEach(row => {
+            if (!columns) {
+                columns = indexColumns(row);
+                return;
+            }
+            const d = {};
+            columns.forEach(([name, i]) => { d[name] = row[i]; });
+            const record = normalizeRecord(d);
+            const reason = exclusionReason(record);
+            quality.rows++;
+            if (reason) {
+                quality.excluded[reason] = (quality.excluded[reason] || 0) + 1;
+            } else {
+                records.push(record);
+            }
+        });
+    };
+
+    while (true) {
+        const { done, value } = await reader.read();
+        if (done) break;
+
+        const text = decoder.decode(value, { stream: true });
+        if (loaded === 0 && text.startsWith('version https://git-lfs')) {
+            reader.cancel();
+            throw new Error('file is a Git LFS pointer, not the dataset');
+        }
+        loaded += value.byteLength;
+        handleRows(splitter.push(text));
+
+        // Give the browser a chance to paint progress without yielding on every chunk
+        if (performance.now() - lastYield > 50) {
+            showLoading(true, 'Parsing ' + source.label + '... ' + records.length.toLocaleString() + ' incidents',
+                size ? Math.min(1, loaded / size) : null);
+            await new Promise(resolve => setTimeout(resolve, 0));
+            lastYield = performance.now();
+        }
+    }
+    handleRows(splitter.push(decoder.decode(), true));
+
+    if (!columns) {
+        throw new Error('file is empty');
+    }
+    return { records, quality };
+}
+
+// Map the columns we need to their position in the header row
+function indexColumns(header) {
+    const names = header.map(h => h.trim());
+    if (!names.includes('iyear') || !names.includes('latitude')) {
+        throw new Error('not a GTD export (missing iyear/latitude columns)');
+    }
+    return RECORD_COLUMNS
+        .map(name => [name, names.indexOf(name)])
+        .filter(([, i]) => i !== -1);
+}
+
+// Buffers text chunks and hands back only complete CSV rows. A newline only ends
+// a row when it sits outside quotes, since GTD summaries contain quoted newlines.
+function createCsvChunkSplitter() {
+    let buffer = '';
+
+    return {
+        push(text, isLast = false) {
+            buffer += text;
+
+            let end = -1;
+            if (isLast) {
+                end = buffer.length;
+            } else {
+                let inQuotes = false;
+                let nextQuote = buffer.indexOf('"');
+                let nextBreak = buffer.indexOf('\n');
+                while (nextBreak !== -1) {
+                    if (nextQuote !== -1 && nextQuote < nextBreak) {
+                        inQuotes = !inQuotes;
+                        nextQuote = buffer.indexOf('"', nextQuote + 1);
+                    } else {
+                        if (!inQuotes) end = nextBreak;
+                        nextBreak = buffer.indexOf('\n', nextBreak + 1);
+                    }
+                }
+            }
+
+            if (end === -1) return [];
+            const complete = buffer.slice(0, end);
+            buffer = buffer.slice(end + 1);
+            return d3.csvParseRows(complete).filter(row => row.length > 1 || row[0] !== '');
+        }
+    };
+}
+
+// ---- IndexedDB cache of normalized records ----
+function openDataCache() {
+    return new Promise((resolve, reject) => {
+        if (!window.indexedDB) {
+            reject(new Error('IndexedDB unavailable'));
+            return;
+        }
+        const request = indexedDB.open(DATA_SOURCE_CONFIG.cacheDb, 1);
+        request.onupgradeneeded = () => {
+            request.result.createObjectStore(DATA_SOURCE_CONFIG.cacheStore, { keyPath: 'key' });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+async function readCachedRecords(key) {
+    try {
+        const db = await openDataCache();
+        const entry = await new Promise((resolve, reject) => {
+            const request = db.transaction(DATA_SOURCE_CONFIG.cacheStore, 'readonly')
+                .objectStore(DATA_SOURCE_CONFIG.cacheStore)
+                .get(key);
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+        db.close();
+        return entry && entry.schema === RECORD_SCHEMA_VERSION ? entry : null;
+    } catch (error) {
+        console.warn('Cache read failed:', error);
+        return null;
+    }
+}
+
+// Fire-and-forget: a full quota or private mode must not break loading
+async function writeCachedRecords(key, label, records, quality) {
+    try {
+        const db = await openDataCache();
+        const tx = db.transaction(DATA_SOURCE_CONFIG.cacheStore, 'readwrite');
+        const store = tx.objectStore(DATA_SOURCE_CONFIG.cacheStore);
+        // Keep a single dataset to bound disk usage
+        store.clear();
+        store.put({ key: key, label: label, schema: RECORD_SCHEMA_VERSION, savedAt: Date.now(), records: records, quality: quality });
+        tx.oncomplete = () => {
+            db.close();
+            console.log('Cached ' + records.length + ' records for ' + label);
+        };
+        tx.onerror = () => {
+            db.close();
+            console.warn('Cache write failed:', tx.error);
+        };
+    } catch (error) {
+        console.warn('Cache write failed:', error);
+    }
+}
+
+function setupDataSourceControls() {
+    const fileInput = document.getElementById('localFileInput');
+
+    document.querySelectorAll('[data-action="open-local-file"]').forEach(button => {
+        button.addEventListener('click', () => fileInput.click());
+    });
 
-    regionSelect.selectAll('option:not([value="all"])')
-        .data(regions)
-        .enter()
-        .append('option')
-        .attr('value', d => d)
-        .text(d => d);
+    fileInput.addEventListener('change', function () {
+        const file = this.files[0];
+        this.value = '';
+        if (file) reloadData({ file: file });
+    });
 
-    // Get countries, filter out null/empty, and handle 'Unknown'
-    const countries = [...new Set(globalData.map(d => d.country || 'Unknown'))]
-        .filter(c => c && c.trim() !== '')
-        .sort();
-    const countrySelect = d3.select('#countryFilter');
+    document.getElementById('reloadData').addEventListener('click', () => reloadData({ bypassCache: true }));
+}
 
-    countrySelect.selectAll('option:not([value="all"])')
-        .data(countries)
-        .enter()
-        .append('option')
-        .attr('value', d => d)
-        .text(d => d);
+function updateDataSourceStatus(result) {
+    const status = document.getElementById('dataSourceStatus');
+    status.textContent = result.label + (result.fromCache ? ' (cached)' : '');
+    status.title = result.key;
+}
 
-    const attackTypes = [...new Set(globalData.map(d => d.attackType))].sort();
-    const attackSelect = d3.select('#attackTypeFilter');
+function showLoadError(error) {
+    showLoading(true, 'Error loading visualization: ' + error.message, null);
+    document.getElementById('loading').classList.add('has-error');
+}
 
-    attackSelect.selectAll('option:not([value="all"])')
-        .data(attackTypes)
-        .enter()
-        .append('option')
-        .attr('value', d => d)
-        .text(d => d);
+// Values each faceted filter offers, by filter key
+let facetDomains = {};
+
+function populateFilters(domains) {
+    facetDomains = {
+        region: domains.regions,
+        country: domains.countries,
+        attackType: domains.attackTypes,
+        targetType: domains.targetTypes,
+        weaponType: domains.weaponTypes,
+        group: domains.groups
+    };
+    hideFacetMenu();
 }
 
 // Initialize all visualizations
@@ -200,6 +659,15 @@ function initAll() {
         throw new Error('Heatmap init failed: ' + e.message);
     }
 
+    try {
+        console.log('Initializing time series...');
+        initTimeSeries();
+        console.log('Time series initialized');
+    } catch (e) {
+        console.error('Time series initialization failed:', e);
+        throw new Error('Time series init failed: ' + e.message);
+    }
+
     try {
         console.log('Initializing attack chart...');
         initAttackChart();
@@ -208,6 +676,17 @@ function initAll() {
         console.error('Attack chart initialization failed:', e);
         throw new Error('Attack chart init failed: ' + e.message);
     }
+
+    registerView('map', updateMap, resizeMap);
+    registerView('sankey', updateSankey);
+    registerView('heatmap', updateHeatmap);
+    registerView('time series', updateTimeSeries);
+    registerView('incident table', updateIncidentTable);
+    registerView('data quality', updateQualityPanel);
+    registerView('comparison', updateComparison);
+    registerView('attack chart', updateAttackChart);
+    registerView('dashboard', updateDashboard);
+    registerView('filter counts', renderFacetMenu);
 }
 
 // ==== GEOGRAPHIC MAP ====
@@ -223,9 +702,26 @@ function initMap() {
         .attr('id', 'geo-svg')
         .style('display', 'block');
 
+    // Canvas points layer stacked over the SVG; the SVG keeps receiving zoom and pointer events
+    const dpr = window.devicePixelRatio || 1;
+    window.mapCanvas = container.append('canvas')
+        .attr('class', 'points-canvas')
+        .attr('width', width * dpr)
+        .attr('height', height * dpr)
+        .style('width', width + 'px')
+        .style('height', height + 'px')
+        .style('left', svg.node().offsetLeft + 'px')
+        .style('top', svg.node().offsetTop + 'px')
+        .node();
+
+    svg.on('mousemove.points', handleCanvasPointerMove)
+        .on('mouseleave.points', handleCanvasPointerLeave)
+        .on('click.points', handleCanvasClick);
+
     // Fetch World TopoJSON for background
     d3.json('https://unpkg.com/world-atlas@2.0.2/countries-110m.json').then(worldData => {
         const countries = topojson.feature(worldData, worldData.objects.countries);
+        sendSuccessorShapes(countries.features);
 
         // Define Projection
         const scale = Math.min(width / 6.28, height / 2.5);
@@ -250,15 +746,20 @@ function initMap() {
         worldLayer.selectAll('path')
             .data(countries.features)
             .enter().append('path')
+            .attr('class', 'country-shape')
             .attr('d', path)
             .attr('fill', '#1E293B')
             .attr('fill-opacity', 0.5)
             .attr('stroke', '#334155')
             .attr('stroke-width', 0.5)
-            .style('transition', 'all 0.3s ease');
+            .style('transition', 'all 0.3s ease')
+            .on('mousemove.choropleth', showCountryTip)
+            .on('mouseout.choropleth', hideTip);
 
-        // Create layer for data points
+        // Create layers for the density surface, data points and the cluster bubbles drawn over them
+        g.append('g').attr('class', 'density-layer');
         g.append('g').attr('class', 'points-layer');
+        g.append('g').attr('class', 'clusters-layer');
 
         // Setup optimized zoom behavior with throttling
         let zoomFrame = null;
@@ -280,7 +781,15 @@ function initMap() {
 
                     // Update point sizes dynamically
                     updatePointSizes(transform.k);
+
+                    // Re-cluster once the zoom crosses a cluster level
+                    refreshMapClusters();
                 });
+            })
+            .on('end', () => {
+                // The density surface is rebuilt at screen resolution for the new view
+                if (getMapLayerMode() === 'density') updateDensityLayer();
+                recordViewState({ replace: true });
             });
 
         svg.call(zoom);
@@ -300,6 +809,13 @@ function initMap() {
         // Initial Update
         window.currentZoomTransform = d3.zoomIdentity;
         updateMap();
+        refreshMapClusters();
+
+        // A zoom restored from the URL before the world map existed
+        if (pendingZoomState) {
+            applyZoomState(pendingZoomState);
+            pendingZoomState = null;
+        }
     }).catch(err => {
         console.error('Failed to load world map:', err);
     });
@@ -307,6 +823,41 @@ function initMap() {
     createLegend();
 }
 
+// Refit the map to its container, keeping the zoomed-in area centered; updateMap() then
+// re-projects the points
+function resizeMap() {
+    const projection = window.currentProjection;
+    if (!projection) return;
+
+    const container = document.getElementById('map-container');
+    const bbox = container.getBoundingClientRect();
+    const width = bbox.width;
+    const height = bbox.height;
+    if (!width || !height || (width === window.mapWidth && height === window.mapHeight)) return;
+
+    const zoom = getZoomState();
+    const svg = window.mapSvg;
+    const dpr = window.devicePixelRatio || 1;
+
+    svg.attr('width', width).attr('height', height);
+    d3.select(window.mapCanvas)
+        .attr('width', width * dpr)
+        .attr('height', height * dpr)
+        .style('width', width + 'px')
+        .style('height', height + 'px')
+        .style('left', svg.node().offsetLeft + 'px')
+        .style('top', svg.node().offsetTop + 'px');
+
+    projection
+        .scale(Math.min(width / 6.28, height / 2.5))
+        .translate([width / 2, height / 2]);
+    window.mapWidth = width;
+    window.mapHeight = height;
+
+    svg.select('.world-map-layer').selectAll('path').attr('d', window.currentGeoPath);
+    applyZoomState(zoom);
+}
+
 // Function to zoom to a specific location
 function zoomToLocation(longitude, latitude, zoomLevel = 6) {
     const svg = window.mapSvg;
@@ -315,23 +866,47 @@ function zoomToLocation(longitude, latitude, zoomLevel = 6) {
 
     if (!svg || !projection || !zoom) return;
 
-    const coords = projection([longitude, latitude]);
-    const width = window.mapWidth;
-    const height = window.mapHeight;
+    svg.transition()
+        .duration(750)
+        .call(zoom.transform, zoomTransformFor(longitude, latitude, zoomLevel));
+}
 
-    // Calculate transform to center on the location
-    const transform = d3.zoomIdentity
-        .translate(width / 2, height / 2)
-        .scale(zoomLevel)
-        .translate(-coords[0], -coords[1]);
+// Fit a [[west, south], [east, north]] box into the map view
+function zoomToBounds(bounds) {
+    const projection = window.currentProjection;
+    if (!window.mapSvg || !projection || !bounds) return;
 
-    svg.transition()
+    const [x0, y1] = projection(bounds[0]);
+    const [x1, y0] = projection(bounds[1]);
+    const k = Math.max(1, Math.min(12, 0.8 / Math.max((x1 - x0) / window.mapWidth, (y1 - y0) / window.mapHeight)));
+    const [longitude, latitude] = projection.invert([(x0 + x1) / 2, (y0 + y1) / 2]);
+
+    window.mapSvg.transition()
         .duration(750)
-        .call(zoom.transform, transform);
+        .call(window.mapZoom.transform, zoomTransformFor(longitude, latitude, k));
+}
+
+// Calculate transform to center on the location
+function zoomTransformFor(longitude, latitude, zoomLevel) {
+    const coords = window.currentProjection([longitude, latitude]);
+    return d3.zoomIdentity
+        .translate(window.mapWidth / 2, window.mapHeight / 2)
+        .scale(zoomLevel)
+        .translate(-coords[0], -coords[1]);
 }
 
 // Update point sizes based on zoom level (optimized)
 function updatePointSizes(zoomLevel) {
+    // Canvas points are redrawn for the whole transform rather than resized per element
+    if (canvasPoints.length > 0) {
+        drawCanvasPoints();
+        return;
+    }
+
+    // Cluster bubbles keep a constant on-screen size
+    d3.select('.clusters-layer').selectAll('g.map-cluster')
+        .attr('transform', d => clusterTransform(d, zoomLevel));
+
     const gPoints = d3.select('.points-layer');
     const strokeWidth = 0.5 / zoomLevel;
     const sqrtZoom = Math.sqrt(zoomLevel);
@@ -354,42 +929,46 @@ function updateMap() {
         console.warn('Projection not ready');
         return;
     }
+    if (!viewData) return;
 
-    const yearData = filteredData.filter(d => d.year <= currentYear);
+    updateChoropleth();
 
-    // Aggregate by location (optimized)
-    const locationData = d3.rollup(
-        yearData,
-        v => ({
-            count: v.length,
-            killed: d3.sum(v, d => d.killed),
-            wounded: d3.sum(v, d => d.wounded),
-            attackType: v[0].attackType,
-            city: v[0].city,
-            country: v[0].country
-        }),
-        d => d.latitude.toFixed(2) + ',' + d.longitude.toFixed(2)
-    );
+    // The density layer replaces the points; the engine sends unclustered locations for it
+    if (getMapLayerMode() === 'density') {
+        gPoints.selectAll('circle').remove();
+        svg.select('.clusters-layer').selectAll('g.map-cluster').remove();
+        setCanvasPoints([]);
+        updateDensityLayer();
+        return;
+    }
+    clearDensityLayer();
 
-    const points = Array.from(locationData, ([key, value]) => {
-        const coords = key.split(',');
-        return {
-            ...value,
-            latitude: parseFloat(coords[0]),
-            longitude: parseFloat(coords[1])
-        };
-    });
+    // Already rolled up by location (up to currentYear) and clustered for the
+    // current zoom level in the aggregation engine
+    const points = viewData.map.filter(d => !d.cluster);
+    const clusters = viewData.map.filter(d => d.cluster);
 
-    // Radius scale
+    // Radius scales
     const radiusScale = d3.scaleSqrt()
         .domain([0, d3.max(points, d => d.killed + d.wounded + 1) || 10])
         .range([2, 10]);
+    const clusterScale = clusterRadiusScale(clusters);
+
+    // Past the threshold one SVG element per location gets too slow; draw on the canvas instead
+    if (viewData.map.length > CANVAS_POINT_THRESHOLD) {
+        gPoints.selectAll('circle').remove();
+        svg.select('.clusters-layer').selectAll('g.map-cluster').remove();
+        setCanvasPoints(viewData.map, radiusScale, clusterScale);
+        return;
+    }
+    setCanvasPoints([], radiusScale, clusterScale);
+    updateClusterMarkers(clusters, clusterScale);
 
     // Get current zoom level
     const currentZoom = window.currentZoomTransform ? window.currentZoomTransform.k : 1;
 
     // Fast update without transitions during animation
-    const isAnimating = isPlaying;
+    const isAnimating = appState.isPlaying;
 
     const circles = gPoints.selectAll('circle')
         .data(points, d => `${d.latitude}-${d.longitude}`);
@@ -452,90 +1031,765 @@ function updateMap() {
         .on('click.zoom', function (event, d) {
             event.stopPropagation();
             zoomToLocation(d.longitude, d.latitude, 6);
+        })
+        .on('click.select', function (event, d) {
+            toggleSelection({ location: locationKey(d) }, d.city + ', ' + d.country);
+            openIncidents({ label: d.city + ', ' + d.country, criteria: [{ location: locationKey(d) }] });
         });
+
+    // Linked selection: fade locations without any selected incident
+    merged
+        .classed('is-dimmed', d => appState.selections.length > 0 && d.selected === 0)
+        .classed('is-selected', d => isSelectionActive({ location: locationKey(d) }));
 }
 
-function createLegend() {
-    const legend = d3.select('#map-legend');
-    legend.html('');
+// ==== CANVAS POINTS LAYER ====
+// Used above CANVAS_POINT_THRESHOLD locations. Points are kept in projected (unzoomed)
+// coordinates with a quadtree so hover and click hit-testing stays cheap.
+const CANVAS_POINT_THRESHOLD = 3000;
+let canvasPoints = [];
+let pointQuadtree = null;
+let maxPointRadius = 0;
+let maxClusterRadius = 0;
+let hoveredPoint = null;
+
+function setCanvasPoints(points, radiusScale, clusterScale) {
+    const projection = window.currentProjection;
 
-    // Add legend title and controls
-    const header = legend.append('div')
-        .style('display', 'flex')
-        .style('justify-content', 'space-between')
-        .style('align-items', 'center')
-        .style('margin-bottom', '12px');
+    canvasPoints = points.map((d, i) => {
+        const coords = projection([d.longitude, d.latitude]);
+        return Object.assign({}, d, {
+            drawOrder: i,
+            x: coords[0],
+            y: coords[1],
+            baseRadius: d.cluster ? clusterScale(d.count) : radiusScale(d.killed + d.wounded + 1)
+        });
+    });
+    pointQuadtree = d3.quadtree(canvasPoints, d => d.x, d => d.y);
+    maxPointRadius = d3.max(canvasPoints, d => d.cluster ? 0 : d.baseRadius) || 0;
+    maxClusterRadius = d3.max(canvasPoints, d => d.cluster ? d.baseRadius : 0) || 0;
+    if (hoveredPoint) {
+        hoveredPoint = null;
+        window.mapSvg.style('cursor', null);
+    }
 
-    header.append('h3')
-        .style('margin', '0')
-        .text('Attack Types');
+    drawCanvasPoints();
+}
 
-    // Add reset zoom button
-    header.append('button')
-        .attr('class', 'btn-secondary')
-        .style('padding', '4px 12px')
-        .style('font-size', '11px')
-        .text('Reset Zoom')
-        .on('click', function () {
-            const svg = window.mapSvg;
-            const zoom = window.mapZoom;
-            if (svg && zoom) {
-                svg.transition()
-                    .duration(750)
-                    .call(zoom.transform, d3.zoomIdentity);
-            }
-        });
+function drawCanvasPoints() {
+    const canvas = window.mapCanvas;
+    if (!canvas) return;
 
-    Object.entries(attackColors).forEach(([type, color]) => {
-        legend.append('div')
-            .attr('class', 'legend-item')
-            .html('<div class="legend-color" style="background:' + color + ';"></div><span>' + type + '</span>');
+    const ctx = canvas.getContext('2d');
+    const dpr = window.devicePixelRatio || 1;
+    const transform = window.currentZoomTransform || d3.zoomIdentity;
+
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    if (canvasPoints.length === 0) return;
+
+    // Draw in map coordinates, matching the transform of the SVG map group
+    ctx.setTransform(dpr * transform.k, 0, 0, dpr * transform.k, dpr * transform.x, dpr * transform.y);
+
+    const [x0, y0] = transform.invert([0, 0]);
+    const [x1, y1] = transform.invert([window.mapWidth, window.mapHeight]);
+    const hasSelection = appState.selections.length > 0;
+
+    canvasPoints.forEach(d => {
+        const r = canvasPointRadius(d, transform.k);
+        if (d.x + r < x0 || d.x - r > x1 || d.y + r < y0 || d.y - r > y1) return;
+
+        const dimmed = hasSelection && d.selected === 0;
+        if (d.cluster) {
+            drawCanvasCluster(ctx, d, r, transform.k, dimmed);
+            return;
+        }
+        ctx.beginPath();
+        ctx.arc(d.x, d.y, r, 0, 2 * Math.PI);
+        ctx.globalAlpha = dimmed ? 0.12 : 0.7;
+        ctx.fillStyle = attackColors[d.attackType] || '#64748B';
+        ctx.fill();
+        ctx.globalAlpha = dimmed ? 0.2 : 1;
+        ctx.lineWidth = 0.5 / transform.k;
+        ctx.strokeStyle = '#fff';
+        ctx.stroke();
+    });
+
+    // Outline selected locations and the hovered point on top
+    ctx.globalAlpha = 1;
+    ctx.strokeStyle = '#ff7f00';
+    ctx.lineWidth = 2 / transform.k;
+    canvasPoints.forEach(d => {
+        const isHovered = d === hoveredPoint;
+        if (d.cluster) {
+            if (!isHovered) return;
+            ctx.beginPath();
+            ctx.arc(d.x, d.y, canvasPointRadius(d, transform.k), 0, 2 * Math.PI);
+            ctx.stroke();
+            return;
+        }
+        if (!isHovered && !(hasSelection && isSelectionActive({ location: locationKey(d) }))) return;
+
+        const r = canvasPointRadius(d, transform.k) * (isHovered ? 1.5 : 1);
+        ctx.beginPath();
+        ctx.arc(d.x, d.y, r, 0, 2 * Math.PI);
+        if (isHovered) {
+            ctx.fillStyle = attackColors[d.attackType] || '#64748B';
+            ctx.fill();
+        }
+        ctx.stroke();
     });
 }
 
-// ==== SANKEY DIAGRAM ====
-function initSankey() {
-    updateSankey();
+// Locations shrink with sqrt(zoom) like the SVG circles; cluster bubbles keep their screen size
+function canvasPointRadius(d, zoomLevel) {
+    return d.cluster ? d.baseRadius / zoomLevel : Math.max(1.5, d.baseRadius / Math.sqrt(zoomLevel));
 }
 
-function updateSankey() {
-    const container = d3.select('#sankey-container');
-    const width = container.node().getBoundingClientRect().width;
-    const height = container.node().getBoundingClientRect().height;
+function drawCanvasCluster(ctx, d, r, zoomLevel, dimmed) {
+    ctx.globalAlpha = dimmed ? 0.25 : 0.9;
+    ctx.beginPath();
+    ctx.arc(d.x, d.y, r, 0, 2 * Math.PI);
+    ctx.fillStyle = '#1a1a1a';
+    ctx.fill();
+
+    clusterPie(d).forEach(slice => {
+        ctx.beginPath();
+        ctx.arc(d.x, d.y, r, slice.startAngle - Math.PI / 2, slice.endAngle - Math.PI / 2);
+        ctx.arc(d.x, d.y, r * CLUSTER_INNER_RATIO, slice.endAngle - Math.PI / 2, slice.startAngle - Math.PI / 2, true);
+        ctx.closePath();
+        ctx.fillStyle = attackColors[slice.data[0]] || '#64748B';
+        ctx.fill();
+    });
 
-    container.selectAll('*').remove();
+    ctx.fillStyle = '#fff';
+    ctx.font = '600 ' + (11 / zoomLevel) + 'px sans-serif';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(formatClusterCount(d.count), d.x, d.y);
+}
 
-    const svg = container.append('svg')
-        .attr('width', width)
-        .attr('height', height);
+function findCanvasPoint(event) {
+    if (!pointQuadtree || canvasPoints.length === 0) return null;
+
+    const transform = window.currentZoomTransform || d3.zoomIdentity;
+    const [x, y] = transform.invert(d3.pointer(event, window.mapSvg.node()));
+    const searchRadius = Math.max(1.5, maxPointRadius / Math.sqrt(transform.k), maxClusterRadius / transform.k);
+
+    // The nearest centre is not always the circle under the cursor: a larger point or
+    // cluster drawn later can cover it. Check everything in reach, keep the last drawn.
+    let found = null;
+    pointQuadtree.visit((node, nx0, ny0, nx1, ny1) => {
+        if (!node.length) {
+            let leaf = node;
+            do {
+                const d = leaf.data;
+                if ((!found || d.drawOrder > found.drawOrder) &&
+                    Math.hypot(d.x - x, d.y - y) <= canvasPointRadius(d, transform.k)) {
+                    found = d;
+                }
+            } while ((leaf = leaf.next));
+        }
+        return nx0 > x + searchRadius || nx1 < x - searchRadius || ny0 > y + searchRadius || ny1 < y - searchRadius;
+    });
+    return found;
+}
 
-    const margin = { top: 20, right: 20, bottom: 20, left: 20 };
+function handleCanvasPointerMove(event) {
+    if (canvasPoints.length === 0) return;
 
-    const data = createSankeyData();
+    const point = findCanvasPoint(event);
+    if (point !== hoveredPoint) {
+        hoveredPoint = point;
+        window.mapSvg.style('cursor', point ? 'pointer' : null);
+        drawCanvasPoints();
+    }
+    if (point) {
+        showTip(event, point, point.cluster ? clusterTipContent(point) : null);
+    } else {
+        hideTip();
+    }
+}
 
-    const sankey = d3.sankey()
-        .nodeWidth(15)
-        .nodePadding(10)
-        .size([width - margin.left - margin.right, height - margin.top - margin.bottom]);
+function handleCanvasPointerLeave() {
+    if (!hoveredPoint) return;
+    hoveredPoint = null;
+    window.mapSvg.style('cursor', null);
+    drawCanvasPoints();
+    hideTip();
+}
 
-    const graph = sankey(data);
+function handleCanvasClick(event) {
+    const point = findCanvasPoint(event);
+    if (!point) return;
+    if (point.cluster) {
+        openClusterIncidents(point);
+        expandCluster(point);
+        return;
+    }
 
-    const colorScale = d3.scaleOrdinal()
-        .domain(['attack', 'target', 'weapon'])
-        .range(['#e41a1c', '#984ea3', '#377eb8']);
+    zoomToLocation(point.longitude, point.latitude, 6);
+    toggleSelection({ location: locationKey(point) }, point.city + ', ' + point.country);
+    openIncidents({ label: point.city + ', ' + point.country, criteria: [{ location: locationKey(point) }] });
+}
 
-    const g = svg.append('g')
-        .attr('transform', 'translate(' + margin.left + ',' + margin.top + ')');
+// ==== MAP CLUSTERS ====
+// The aggregation engine clusters locations per zoom level: level z covers d3.zoom
+// scales from 2^(z / 2), and past its deepest level the plain locations come back.
+const CLUSTER_RADIUS_PX = 40;
+const CLUSTER_INNER_RATIO = 0.62;
+let clusterRequestPending = false;
 
-    // Links
-    g.append('g')
-        .selectAll('path')
-        .data(graph.links)
+function mapClusterLevel() {
+    const k = window.currentZoomTransform ? window.currentZoomTransform.k : 1;
+    return Math.max(0, Math.floor(2 * Math.log2(k) + 1e-9));
+}
+
+function clusterLevelZoom(level) {
+    return Math.min(12, Math.pow(2, level / 2));
+}
+
+// Clustering radius in unit-square Mercator coordinates at zoom scale 1 (0 = no clustering)
+function mapClusterRadius() {
+    const projection = window.currentProjection;
+    if (!projection || getMapLayerMode() === 'density') return 0;
+    return CLUSTER_RADIUS_PX / (2 * Math.PI * projection.scale());
+}
+
+// Fetch clusters for the current zoom when the rendered ones are for another level
+function refreshMapClusters() {
+    if (!viewData || clusterRequestPending) return;
+
+    const level = mapClusterLevel();
+    const radius = mapClusterRadius();
+    // Unclustered locations are the same at every level
+    if (radius === viewData.mapRadius && (radius === 0 || level === viewData.mapLevel)) return;
+
+    clusterRequestPending = true;
+    engineRequest('clusters', { level, radius })
+        .then(result => {
+            clusterRequestPending = false;
+            if (!viewData) return;
+            viewData.map = result.points;
+            viewData.mapLevel = result.level;
+            viewData.mapRadius = result.radius;
+            updateMap();
+            // The zoom may have moved on while the engine was busy
+            refreshMapClusters();
+        })
+        .catch(error => {
+            clusterRequestPending = false;
+            console.error('Failed to cluster map points:', error);
+        });
+}
+
+function expandCluster(d) {
+    hideTip();
+    zoomToLocation(d.longitude, d.latitude, clusterLevelZoom(d.expansionLevel));
+}
+
+function clusterRadiusScale(clusters) {
+    return d3.scaleSqrt()
+        .domain([1, d3.max(clusters, d => d.count) || 1])
+        .range([12, 28]);
+}
+
+function clusterPie(d) {
+    return d3.pie().sort(null).value(e => e[1])(Object.entries(d.attackTypes));
+}
+
+function clusterTransform(d, zoomLevel) {
+    const coords = window.currentProjection([d.longitude, d.latitude]);
+    return 'translate(' + coords[0] + ',' + coords[1] + ') scale(' + (1 / zoomLevel) + ')';
+}
+
+const formatClusterCount = d3.format('~s');
+
+function clusterTipContent(d) {
+    const topTypes = Object.entries(d.attackTypes)
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, 3)
+        .map(e => e[0] + ': ' + e[1].toLocaleString())
+        .join('<br>');
+    return '<div class="tooltip-title">' + d.count.toLocaleString() + ' attacks</div>' +
+        '<div class="tooltip-content">' +
+        '<strong>Locations:</strong> ' + d.locations.toLocaleString() + '<br>' +
+        '<strong>Killed:</strong> ' + d.killed.toLocaleString() + '<br>' +
+        '<strong>Wounded:</strong> ' + d.wounded.toLocaleString() + '<br>' +
+        topTypes + '<br>' +
+        '<em>Click to expand and list its incidents</em>' +
+        '</div>';
+}
+
+function updateClusterMarkers(clusters, clusterScale) {
+    const currentZoom = window.currentZoomTransform ? window.currentZoomTransform.k : 1;
+    const arc = d3.arc();
+
+    const markers = d3.select('#geo-svg .clusters-layer').selectAll('g.map-cluster')
+        .data(clusters, d => d.id)
+        .join('g')
+        .attr('class', 'map-cluster')
+        .attr('transform', d => clusterTransform(d, currentZoom))
+        .classed('is-dimmed', d => appState.selections.length > 0 && d.selected === 0)
+        .on('mouseover.tip', (event, d) => showTip(event, d, clusterTipContent(d)))
+        .on('mouseout.tip', hideTip)
+        .on('click', (event, d) => {
+            event.stopPropagation();
+            openClusterIncidents(d);
+            expandCluster(d);
+        });
+
+    markers.each(function (d) {
+        const r = clusterScale(d.count);
+        const marker = d3.select(this);
+        marker.selectAll('*').remove();
+
+        marker.append('circle')
+            .attr('class', 'map-cluster-bg')
+            .attr('r', r);
+
+        marker.selectAll('path')
+            .data(clusterPie(d))
+            .join('path')
+            .attr('d', slice => arc.innerRadius(r * CLUSTER_INNER_RATIO).outerRadius(r)(slice))
+            .attr('fill', slice => attackColors[slice.data[0]] || '#64748B');
+
+        marker.append('text')
+            .attr('class', 'map-cluster-count')
+            .attr('dy', '0.35em')
+            .text(formatClusterCount(d.count));
+    });
+}
+
+// ==== DENSITY LAYER ====
+// Kernel density surface over the map locations. It is estimated in screen space for
+// the current zoom (so the bandwidth is in screen pixels) and drawn inside the zoomed
+// group under the inverse transform, so it follows pans and zooms until rebuilt.
+function getMapLayerMode() {
+    return document.getElementById('mapLayerMode').value;
+}
+
+function updateDensityLayer() {
+    const layer = d3.select('#geo-svg .density-layer');
+    const projection = window.currentProjection;
+    if (layer.empty() || !projection || !viewData) return;
+
+    const transform = window.currentZoomTransform || d3.zoomIdentity;
+    const bandwidth = +document.getElementById('densityBandwidth').value;
+    const weightBy = document.getElementById('densityWeight').value;
+
+    const points = viewData.map.filter(d => !d.cluster);
+    const contours = d3.contourDensity()
+        .x(d => transform.applyX(projection([d.longitude, d.latitude])[0]))
+        .y(d => transform.applyY(projection([d.longitude, d.latitude])[1]))
+        .weight(d => weightBy === 'casualties' ? d.killed + d.wounded : d.count)
+        .size([window.mapWidth, window.mapHeight])
+        .bandwidth(bandwidth)
+        .thresholds(15)(points);
+
+    const colorScale = d3.scaleSequential()
+        .domain([0, d3.max(contours, d => d.value) || 1])
+        .interpolator(d3.interpolateYlOrRd);
+
+    layer
+        .attr('transform', 'scale(' + (1 / transform.k) + ') translate(' + (-transform.x) + ',' + (-transform.y) + ')')
+        .selectAll('path')
+        .data(contours)
+        .join('path')
+        .attr('d', d3.geoPath())
+        .attr('fill', d => colorScale(d.value))
+        .attr('fill-opacity', 0.3)
+        .attr('stroke', 'none');
+
+    const legend = d3.select('#densityLegend');
+    legend.attr('hidden', null).html('');
+    legend.append('h3').text('Density: ' + (weightBy === 'casualties' ? 'Casualties' : 'Incidents'));
+    appendScaleRamp(legend, colorScale.interpolator(), 'Low', 'High');
+}
+
+function clearDensityLayer() {
+    d3.select('#geo-svg .density-layer').selectAll('path').remove();
+    d3.select('#densityLegend').attr('hidden', true).html('');
+}
+
+// ==== COUNTRY CHOROPLETH ====
+// GTD country_txt names that differ from the world-atlas feature names. A merged state's
+// former halves both map to the present one.
+const gtdCountryFeatureNames = {
+    'United States': 'United States of America',
+    'West Germany (FRG)': 'Germany',
+    'East Germany (GDR)': 'Germany',
+    'Czech Republic': 'Czechia',
+    'Slovak Republic': 'Slovakia',
+    'Bosnia-Herzegovina': 'Bosnia and Herz.',
+    'Zaire': 'Dem. Rep. Congo',
+    'Democratic Republic of the Congo': 'Dem. Rep. Congo',
+    'Republic of the Congo': 'Congo',
+    'People\'s Republic of the Congo': 'Congo',
+    'Central African Republic': 'Central African Rep.',
+    'Dominican Republic': 'Dominican Rep.',
+    'Equatorial Guinea': 'Eq. Guinea',
+    'Ivory Coast': 'Côte d\'Ivoire',
+    'Swaziland': 'eSwatini',
+    'South Sudan': 'S. Sudan',
+    'Solomon Islands': 'Solomon Is.',
+    'Falkland Islands': 'Falkland Is.',
+    'Western Sahara': 'W. Sahara',
+    'West Bank and Gaza Strip': 'Palestine',
+    'East Timor': 'Timor-Leste',
+    'North Yemen': 'Yemen',
+    'South Yemen': 'Yemen',
+    'Rhodesia': 'Zimbabwe',
+    'South Vietnam': 'Vietnam',
+    'New Hebrides': 'Vanuatu'
+};
+
+// Present-day states on a dissolved state's territory. The engine credits each incident to
+// the one containing its coordinates, or to the first listed when it has none inside them.
+const dissolvedCountrySuccessors = {
+    'Soviet Union': [
+        'Russia', 'Ukraine', 'Belarus', 'Moldova', 'Lithuania', 'Latvia', 'Estonia', 'Georgia', 'Armenia',
+        'Azerbaijan', 'Kazakhstan', 'Uzbekistan', 'Turkmenistan', 'Kyrgyzstan', 'Tajikistan'
+    ],
+    'Czechoslovakia': ['Czechia', 'Slovakia'],
+    'Yugoslavia': ['Serbia', 'Montenegro', 'Kosovo', 'Bosnia and Herz.', 'Croatia', 'Slovenia', 'Macedonia'],
+    'Serbia-Montenegro': ['Serbia', 'Montenegro', 'Kosovo']
+};
+
+// The engine needs the successors' shapes to place incidents; the country map
+// re-renders once they have been placed
+function sendSuccessorShapes(features) {
+    const names = new Set(Object.values(dissolvedCountrySuccessors).flat());
+    engineRequest('countryShapes', {
+        successors: dissolvedCountrySuccessors,
+        features: features.filter(feature => names.has(feature.properties.name))
+    })
+        .then(() => {
+            if (viewData) updateAll();
+        })
+        .catch(error => console.error('Failed to send country shapes:', error));
+}
+
+const choroplethMetricLabels = {
+    count: 'Incidents',
+    casualties: 'Casualties',
+    lethality: 'Lethality Index'
+};
+
+// Feature name -> summed totals for the current view
+let choroplethValues = new Map();
+
+function getChoroplethMetric() {
+    return document.getElementById('choroplethMetric').value;
+}
+
+function choroplethValue(entry, metric) {
+    if (metric === 'count') return entry.count;
+    if (metric === 'casualties') return entry.killed + entry.wounded;
+    return entry.count > 0 ? entry.killed / entry.count : 0;
+}
+
+function updateChoropleth() {
+    const metric = getChoroplethMetric();
+
+    choroplethValues = new Map();
+    viewData.countries.forEach(d => {
+        const name = d.successor || gtdCountryFeatureNames[d.country] || d.country;
+        let entry = choroplethValues.get(name);
+        if (!entry) {
+            entry = { count: 0, killed: 0, wounded: 0, sources: [] };
+            choroplethValues.set(name, entry);
+        }
+        entry.count += d.count;
+        entry.killed += d.killed;
+        entry.wounded += d.wounded;
+        if (d.country !== name) entry.sources.push(d);
+    });
+
+    const shapes = d3.select('#geo-svg .world-map-layer').selectAll('path.country-shape');
+
+    if (metric === 'none') {
+        shapes.attr('fill', '#1E293B').attr('fill-opacity', 0.5);
+        updateChoroplethLegend(null, metric);
+        return;
+    }
+
+    const maxValue = d3.max(Array.from(choroplethValues.values()), d => choroplethValue(d, metric)) || 1;
+    const colorScale = d3.scaleSequentialSqrt()
+        .domain([0, maxValue])
+        .interpolator(d3.interpolateYlOrRd);
+
+    shapes
+        .attr('fill', d => {
+            const entry = choroplethValues.get(d.properties.name);
+            return entry && entry.count > 0 ? colorScale(choroplethValue(entry, metric)) : '#1E293B';
+        })
+        .attr('fill-opacity', 0.85);
+
+    updateChoroplethLegend(colorScale, metric);
+}
+
+function updateChoroplethLegend(colorScale, metric) {
+    const legend = d3.select('#choroplethLegend');
+    legend.attr('hidden', colorScale ? null : true).html('');
+    if (!colorScale) return;
+
+    const [min, max] = colorScale.domain();
+    const format = metric === 'lethality' ? d3.format('.2f') : d3.format('~s');
+
+    legend.append('h3').text('Countries: ' + choroplethMetricLabels[metric]);
+    appendScaleRamp(legend, colorScale.interpolator(), format(min), format(max));
+    legend.append('div')
+        .attr('class', 'legend-item')
+        .html('<div class="legend-color" style="background:#1E293B;"></div><span>No incidents</span>');
+}
+
+// Horizontal color ramp with labels under both ends, shared by the map layer legends
+function appendScaleRamp(legend, interpolator, minLabel, maxLabel) {
+    const stops = d3.range(0, 1.0001, 0.1)
+        .map(t => interpolator(t) + ' ' + (t * 100) + '%');
+
+    const scale = legend.append('div').attr('class', 'map-scale');
+    scale.append('div')
+        .attr('class', 'map-scale-ramp')
+        .style('background', 'linear-gradient(to right, ' + stops.join(', ') + ')');
+    const labels = scale.append('div').attr('class', 'map-scale-labels');
+    labels.append('span').text(minLabel);
+    labels.append('span').text(maxLabel);
+}
+
+function showCountryTip(event, feature) {
+    const metric = getChoroplethMetric();
+    if (metric === 'none') return;
+
+    const name = feature.properties.name;
+    const entry = choroplethValues.get(name) || { count: 0, killed: 0, wounded: 0, sources: [] };
+    const lethality = entry.count > 0 ? entry.killed / entry.count : 0;
+    const aliases = entry.sources.map(source => source.successor ?
+        source.count.toLocaleString() + ' ' + source.country + ' incident(s) ' +
+            (source.placed ? 'located here' : 'without a location in any successor state') :
+        source.country);
+
+    showTip(event, entry, '<div class="tooltip-title">' + name + '</div>' +
+        '<div class="tooltip-content">' +
+        '<strong>Incidents:</strong> ' + entry.count.toLocaleString() + '<br>' +
+        '<strong>Killed:</strong> ' + entry.killed.toLocaleString() + '<br>' +
+        '<strong>Wounded:</strong> ' + entry.wounded.toLocaleString() + '<br>' +
+        '<strong>Lethality Index:</strong> ' + lethality.toFixed(2) +
+        (aliases.length > 0 ? '<br><em>Includes ' + aliases.join(', ') + '</em>' : '') +
+        '</div>');
+}
+
+// Same rounding the aggregation engine uses to roll incidents up by location
+function locationKey(d) {
+    return d.latitude.toFixed(2) + ',' + d.longitude.toFixed(2);
+}
+
+function createLegend() {
+    const legend = d3.select('#map-legend');
+    legend.html('');
+
+    // Add legend title and controls
+    const header = legend.append('div')
+        .style('display', 'flex')
+        .style('justify-content', 'space-between')
+        .style('align-items', 'center')
+        .style('margin-bottom', '12px');
+
+    header.append('h3')
+        .style('margin', '0')
+        .text('Attack Types');
+
+    // Add reset zoom button
+    header.append('button')
+        .attr('class', 'btn-secondary')
+        .style('padding', '4px 12px')
+        .style('font-size', '11px')
+        .text('Reset Zoom')
+        .on('click', function () {
+            const svg = window.mapSvg;
+            const zoom = window.mapZoom;
+            if (svg && zoom) {
+                svg.transition()
+                    .duration(750)
+                    .call(zoom.transform, d3.zoomIdentity);
+            }
+        });
+
+    Object.entries(attackColors).forEach(([type, color]) => {
+        legend.append('div')
+            .attr('class', 'legend-item')
+            .html('<div class="legend-color" style="background:' + color + ';"></div><span>' + type + '</span>');
+    });
+
+    // Filled in by updateChoropleth while a country metric is shown
+    legend.append('div')
+        .attr('id', 'choroplethLegend')
+        .attr('class', 'map-scale-legend')
+        .attr('hidden', true);
+
+    // Filled in by updateDensityLayer while the density layer is shown
+    legend.append('div')
+        .attr('id', 'densityLegend')
+        .attr('class', 'map-scale-legend')
+        .attr('hidden', true);
+}
+
+// ==== GROUP PROFILE ====
+// Shown over the map while the group filter is set. Covers every incident recorded
+// for the group, so it doesn't change with the other filters.
+let groupProfileRequest = 0;
+
+function updateGroupProfile() {
+    const panel = d3.select('#groupProfile');
+    const group = getGroupFilter();
+    const requestId = ++groupProfileRequest;
+
+    if (group === 'all') {
+        panel.attr('hidden', true).html('');
+        return;
+    }
+
+    engineRequest('groupProfile', { group })
+        .then(profile => {
+            // A newer group was picked while this one was loading
+            if (requestId !== groupProfileRequest) return;
+            renderGroupProfile(profile);
+        })
+        .catch(error => {
+            console.error('Failed to load group profile:', error);
+        });
+}
+
+function renderGroupProfile(profile) {
+    const panel = d3.select('#groupProfile');
+    panel.attr('hidden', null).html('');
+
+    const header = panel.append('div').attr('class', 'group-profile-header');
+    header.append('h3').text(profile.group);
+    header.append('button')
+        .attr('class', 'group-profile-close')
+        .attr('title', 'Hide profile')
+        .text('×')
+        .on('click', () => panel.attr('hidden', true));
+
+    const stats = panel.append('div').attr('class', 'group-profile-stats');
+    [
+        ['Incidents', profile.incidents.toLocaleString()],
+        ['Killed', profile.killed.toLocaleString()],
+        ['Wounded', profile.wounded.toLocaleString()],
+        ['Active', profile.firstYear === profile.lastYear ? profile.firstYear : profile.firstYear + '–' + profile.lastYear]
+    ].forEach(([label, value]) => {
+        const stat = stats.append('div').attr('class', 'group-profile-stat');
+        stat.append('span').attr('class', 'group-profile-value').text(value);
+        stat.append('span').attr('class', 'group-profile-label').text(label);
+    });
+
+    // Incidents per year over the whole dataset range
+    const width = 260;
+    const height = 48;
+    const yearRange = document.getElementById('startYearRange');
+    const x = d3.scaleBand().domain(d3.range(+yearRange.min, +yearRange.max + 1)).range([0, width]).padding(0.15);
+    const y = d3.scaleLinear().domain([0, d3.max(profile.years, d => d.count) || 1]).range([height, 0]);
+    const spark = panel.append('svg')
+        .attr('class', 'group-profile-years')
+        .attr('width', width)
+        .attr('height', height + 14);
+    spark.selectAll('rect')
+        .data(profile.years.filter(d => x(d.year) !== undefined))
+        .join('rect')
+        .attr('x', d => x(d.year))
+        .attr('y', d => y(d.count))
+        .attr('width', x.bandwidth())
+        .attr('height', d => height - y(d.count))
+        .append('title')
+        .text(d => d.year + ': ' + d.count.toLocaleString());
+    spark.append('text').attr('x', 0).attr('y', height + 12).text(x.domain()[0]);
+    spark.append('text').attr('x', width).attr('y', height + 12).attr('text-anchor', 'end').text(x.domain()[x.domain().length - 1]);
+
+    appendGroupProfileBars(panel, 'Regions', profile.regions, profile.incidents, () => '#60A5FA');
+    appendGroupProfileBars(panel, 'Attack mix', profile.attackTypes, profile.incidents, d => attackColors[d.name] || '#64748B');
+
+    panel.append('div')
+        .attr('class', 'group-profile-actions')
+        .append('button')
+        .attr('class', 'btn-secondary btn-export')
+        .text('Show on map')
+        .on('click', () => zoomToBounds(profile.bounds));
+}
+
+function appendGroupProfileBars(panel, title, items, total, color) {
+    const section = panel.append('div').attr('class', 'group-profile-section');
+    section.append('h4').text(title);
+
+    const rows = section.selectAll('.group-profile-bar')
+        .data(items)
+        .join('div')
+        .attr('class', 'group-profile-bar');
+    rows.append('span').attr('class', 'group-profile-bar-label').text(d => d.name);
+    rows.append('span')
+        .attr('class', 'group-profile-bar-track')
+        .append('span')
+        .attr('class', 'group-profile-bar-fill')
+        .style('width', d => (d.count / total * 100) + '%')
+        .style('background', color);
+    rows.append('span').attr('class', 'group-profile-bar-value').text(d => d.count.toLocaleString());
+}
+
+// ==== SANKEY DIAGRAM ====
+function initSankey() {
+    updateSankey();
+}
+
+function updateSankey() {
+    const container = d3.select('#sankey-container');
+    const width = container.node().getBoundingClientRect().width;
+    const height = container.node().getBoundingClientRect().height;
+
+    container.selectAll('*').remove();
+
+    const svg = container.append('svg')
+        .attr('width', width)
+        .attr('height', height);
+
+    const margin = { top: 20, right: 20, bottom: 20, left: 20 };
+
+    if (!viewData) return;
+
+    // d3.sankey mutates its input, so lay out a copy and keep viewData reusable on resize
+    const data = {
+        nodes: viewData.sankey.nodes.map(d => ({ ...d })),
+        links: viewData.sankey.links.map(d => ({ ...d }))
+    };
+
+    // Shrink the gaps when a tall top-N would not fit otherwise
+    const innerHeight = height - margin.top - margin.bottom;
+    const tallestStage = d3.max(d3.rollup(data.nodes, v => v.length, d => d.stage).values()) || 1;
+
+    const sankey = d3.sankey()
+        .nodeWidth(15)
+        .nodePadding(Math.max(2, Math.min(10, innerHeight / (tallestStage * 3))))
+        .size([width - margin.left - margin.right, innerHeight]);
+
+    const graph = sankey(data);
+
+    const colorScale = d3.scaleOrdinal()
+        .domain([0, 1, 2, 3])
+        .range(['#e41a1c', '#984ea3', '#377eb8', '#4daf4a']);
+
+    const g = svg.append('g')
+        .attr('transform', 'translate(' + margin.left + ',' + margin.top + ')');
+
+    // Links
+    const link = g.append('g')
+        .selectAll('path')
+        .data(graph.links)
         .join('path')
         .attr('class', 'sankey-link')
         .attr('d', d3.sankeyLinkHorizontal())
-        .attr('stroke', d => colorScale(d.source.category))
-        .attr('stroke-width', d => Math.max(1, d.width));
+        .attr('stroke', d => colorScale(d.source.stage))
+        .attr('stroke-width', d => Math.max(1, d.width))
+        .classed('is-dimmed', d => appState.selections.length > 0 && !d.selectedValue);
 
     // Nodes
     const node = g.append('g')
@@ -549,8 +1803,64 @@ function updateSankey() {
         .attr('y', d => d.y0)
         .attr('height', d => d.y1 - d.y0)
         .attr('width', d => d.x1 - d.x0)
-        .attr('fill', d => colorScale(d.category))
-        .attr('opacity', 0.8);
+        .attr('fill', d => colorScale(d.stage))
+        .attr('opacity', 0.8)
+        .classed('is-dimmed', d => appState.selections.length > 0 &&
+            !d.sourceLinks.concat(d.targetLinks).some(link => link.selectedValue > 0))
+        .classed('is-selected', d => isSelectionActive(sankeyNodeCriteria(d)));
+
+    // Every stage carries the same total, so shares are relative to the first one
+    const total = d3.sum(graph.nodes.filter(d => d.stage === 0), d => d.value);
+    const measure = viewData.sankey.value === 'casualties' ? 'Casualties' : 'Incidents';
+    const share = (value, of) => of > 0 ? (value / of * 100).toFixed(1) + '%' : '-';
+    // Incidents with several types are split between their flows, so values can be fractional
+    const formatValue = d3.format(',.1~f');
+
+    // Hovering a node or link highlights every path running through it
+    const highlight = (event, d, content) => {
+        const paths = sankeyPaths(d);
+        svg.classed('sankey-hovering', true);
+        link.classed('is-highlighted', l => paths.links.has(l));
+        node.classed('is-highlighted', n => paths.nodes.has(n));
+        showTip(event, d, content);
+    };
+    const unhighlight = () => {
+        svg.classed('sankey-hovering', false);
+        link.classed('is-highlighted', false);
+        node.classed('is-highlighted', false);
+        hideTip();
+    };
+
+    link.on('mouseover', (event, d) => highlight(event, d,
+        '<div class="tooltip-title">' + d.source.name + ' → ' + d.target.name + '</div>' +
+        '<div class="tooltip-content">' +
+        '<strong>' + measure + ':</strong> ' + formatValue(d.value) + '<br>' +
+        share(d.value, total) + ' of all, ' + share(d.value, d.source.value) + ' of ' + d.source.name +
+        '</div>'))
+        .on('mouseout', unhighlight);
+
+    node.on('mouseover', (event, d) => highlight(event, d,
+        '<div class="tooltip-title">' + d.name + '</div>' +
+        '<div class="tooltip-content">' +
+        '<strong>' + sankeyDimensionLabels[d.category] + '</strong><br>' +
+        '<strong>' + measure + ':</strong> ' + formatValue(d.value) + ' (' + share(d.value, total) + ')' +
+        (d.other ? '' : '<br><em>Click to filter, shift-click to select</em>') +
+        '</div>'))
+        .on('mouseout', unhighlight);
+
+    node.on('click', function (event, d) {
+        // "Other" pools many values and has no single criterion to filter or select on
+        if (d.other) return;
+        hideTip();
+
+        const filter = fieldFilterChange(d.category, d.key);
+        if (!event.shiftKey && filter) {
+            dispatch(filter);
+        } else {
+            // Shift-click, or a dimension fieldFilterChange maps to no filter
+            toggleSelection(sankeyNodeCriteria(d), sankeyDimensionLabels[d.category] + ': ' + d.name);
+        }
+    });
 
     node.append('text')
         .attr('x', d => d.x0 < width / 2 ? d.x1 + 6 : d.x0 - 6)
@@ -562,71 +1872,189 @@ function updateSankey() {
         .style('fill', '#F1F5F9');
 }
 
-function createSankeyData() {
-    const nodes = [];
-    const links = [];
-    const nodeMap = {};
+// Record fields the Sankey can use as a stage, in menu order
+const sankeyDimensionLabels = {
+    region: 'Region',
+    country: 'Country',
+    attackType: 'Attack',
+    targetType: 'Target',
+    weaponType: 'Weapon',
+    groupName: 'Group',
+    success: 'Outcome',
+    suicide: 'Suicide'
+};
+const defaultSankeyDimensions = ['attackType', 'targetType', 'weaponType'];
+const defaultSankeyTopN = 5;
 
-    const attackTypes = getTop(filteredData, 'attackType', 5);
-    const targetTypes = getTop(filteredData, 'targetType', 5);
-    const weaponTypes = getTop(filteredData, 'weaponType', 5);
+function sankeyNodeCriteria(node) {
+    return { [node.category]: node.key };
+}
 
-    let nodeId = 0;
+// Links and nodes on every path through a Sankey node or link (upstream and downstream)
+function sankeyPaths(start) {
+    const links = new Set();
+    const nodes = new Set();
+    const walk = (node, downstream) => {
+        nodes.add(node);
+        (downstream ? node.sourceLinks : node.targetLinks).forEach(l => {
+            if (links.has(l)) return;
+            links.add(l);
+            walk(downstream ? l.target : l.source, downstream);
+        });
+    };
 
-    attackTypes.forEach(name => {
-        nodes.push({ name: name, category: 'attack', id: nodeId });
-        nodeMap['attack-' + name] = nodeId++;
-    });
+    if (start.sourceLinks) {
+        walk(start, true);
+        walk(start, false);
+    } else {
+        links.add(start);
+        walk(start.target, true);
+        walk(start.source, false);
+    }
+    return { links, nodes };
+}
 
-    targetTypes.forEach(name => {
-        nodes.push({ name: name, category: 'target', id: nodeId });
-        nodeMap['target-' + name] = nodeId++;
+// Stage, top-N and flow value pickers; runs before the first aggregate so restored URL state can set them
+function setupSankeyControls() {
+    d3.selectAll('.sankey-stage').each(function () {
+        const stage = +this.getAttribute('data-stage');
+        const options = Object.entries(sankeyDimensionLabels);
+        // The first two stages are required
+        if (stage >= 2) options.unshift(['', '—']);
+
+        d3.select(this)
+            .selectAll('option')
+            .data(options)
+            .join('option')
+            .attr('value', d => d[0])
+            .text(d => d[1]);
     });
+    setSankeyOptions({ dimensions: defaultSankeyDimensions, topN: defaultSankeyTopN, value: 'count' });
 
-    weaponTypes.forEach(name => {
-        nodes.push({ name: name, category: 'weapon', id: nodeId });
-        nodeMap['weapon-' + name] = nodeId++;
+    document.querySelectorAll('.sankey-stage, #sankeyTopN, #sankeyValue').forEach(control => {
+        control.addEventListener('change', () => {
+            updateSankeySubtitle();
+            recordViewState();
+            updateAll();
+        });
     });
+}
 
-    const attackToTarget = {};
-    const targetToWeapon = {};
+function getSankeyOptions() {
+    const topN = parseInt(document.getElementById('sankeyTopN').value, 10);
+    return {
+        dimensions: Array.from(document.querySelectorAll('.sankey-stage'), select => select.value).filter(Boolean),
+        topN: Number.isFinite(topN) ? Math.max(2, Math.min(20, topN)) : defaultSankeyTopN,
+        value: document.getElementById('sankeyValue').value
+    };
+}
 
-    filteredData.forEach(d => {
-        if (attackTypes.includes(d.attackType) && targetTypes.includes(d.targetType)) {
-            const key = d.attackType + '->' + d.targetType;
-            attackToTarget[key] = (attackToTarget[key] || 0) + 1;
-        }
+function setSankeyOptions(options) {
+    const dimensions = options.dimensions.filter(field => field in sankeyDimensionLabels);
+    const stages = dimensions.length >= 2 ? dimensions : defaultSankeyDimensions;
 
-        if (targetTypes.includes(d.targetType) && weaponTypes.includes(d.weaponType)) {
-            const key = d.targetType + '->' + d.weaponType;
-            targetToWeapon[key] = (targetToWeapon[key] || 0) + 1;
-        }
+    document.querySelectorAll('.sankey-stage').forEach((select, i) => {
+        select.value = stages[i] || '';
     });
+    document.getElementById('sankeyTopN').value = options.topN;
+    setSelectValue('sankeyValue', options.value);
+    updateSankeySubtitle();
+}
 
-    Object.entries(attackToTarget).forEach(([key, value]) => {
-        const parts = key.split('->');
-        links.push({
-            source: nodeMap['attack-' + parts[0]],
-            target: nodeMap['target-' + parts[1]],
-            value: value
-        });
+function updateSankeySubtitle() {
+    const options = getSankeyOptions();
+    document.getElementById('sankeySubtitle').textContent =
+        options.dimensions.map(field => sankeyDimensionLabels[field]).join(' → ') +
+        (options.value === 'casualties' ? ' (casualties)' : '');
+}
+
+// ==== HEATMAP (STANDARD) ====
+// Rows are regions, or the countries of one region after clicking its label (heatmapRegion);
+// columns follow the #heatmapTime axis.
+let heatmapRegion = null;
+
+const heatmapTimeLabels = {
+    year: 'Year',
+    month: 'Month',
+    weekday: 'Day of week'
+};
+
+const weekdayNames = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+
+const heatmapMetricLabels = {
+    count: 'Incidents',
+    casualties: 'Casualties',
+    wounded: 'Wounded',
+    property: 'Incidents with property damage',
+    propertyValue: 'Property value (USD)',
+    hostages: 'Hostages',
+    lethality: 'Lethality Index'
+};
+
+const heatmapValuesLabels = {
+    absolute: '',
+    share: 'Share of row',
+    change: 'Change'
+};
+
+function initHeatmap() {
+    updateHeatmap();
+}
+
+function setupHeatmapControls() {
+    document.getElementById('heatmapTime').addEventListener('change', () => {
+        recordViewState();
+        updateAll();
     });
 
-    Object.entries(targetToWeapon).forEach(([key, value]) => {
-        const parts = key.split('->');
-        links.push({
-            source: nodeMap['target-' + parts[0]],
-            target: nodeMap['weapon-' + parts[1]],
-            value: value
+    // Scale and normalization only recolor the current aggregates
+    document.querySelectorAll('#heatmapScale, #heatmapValues').forEach(control => {
+        control.addEventListener('change', () => {
+            recordViewState();
+            updateHeatmap();
         });
     });
+}
 
-    return { nodes, links };
+function getHeatmapMetric() {
+    return document.querySelector('input[name="metric"]:checked').value;
 }
 
-// ==== HEATMAP (STANDARD) ====
-function initHeatmap() {
-    updateHeatmap();
+function getHeatmapOptions() {
+    return { region: heatmapRegion, time: document.getElementById('heatmapTime').value };
+}
+
+function setHeatmapRegion(region) {
+    heatmapRegion = region;
+    recordViewState();
+    updateAll();
+}
+
+function heatmapColumnLabel(field, value) {
+    if (field === 'month') return d3.utcFormat('%b')(new Date(Date.UTC(2000, value - 1, 1)));
+    if (field === 'weekday') return weekdayNames[value];
+    return String(value);
+}
+
+function updateHeatmapBreadcrumb() {
+    const crumbs = [{ label: 'All regions', region: null }];
+    if (heatmapRegion) crumbs.push({ label: heatmapRegion, region: heatmapRegion });
+
+    const breadcrumb = d3.select('#heatmapBreadcrumb');
+    breadcrumb.selectAll('*').remove();
+    crumbs.forEach((crumb, i) => {
+        if (i > 0) breadcrumb.append('span').attr('class', 'heatmap-breadcrumb-sep').text('›');
+        const isCurrent = i === crumbs.length - 1;
+        breadcrumb.append(isCurrent ? 'span' : 'button')
+            .attr('class', isCurrent ? 'heatmap-breadcrumb-current' : 'heatmap-breadcrumb-link')
+            .text(crumb.label)
+            .on('click', isCurrent ? null : () => setHeatmapRegion(crumb.region));
+    });
+
+    const undated = viewData ? viewData.heatmap.undated : 0;
+    d3.select('#heatmapUndated')
+        .text(undated > 0 ? undated.toLocaleString() + ' incidents without a ' +
+            (viewData.heatmap.columnField === 'weekday' ? 'full date' : 'month') : '');
 }
 
 function updateHeatmap() {
@@ -635,81 +2063,79 @@ function updateHeatmap() {
     const containerHeight = container.node().getBoundingClientRect().height;
 
     container.selectAll('*').remove();
+    updateHeatmapBreadcrumb();
+
+    if (!viewData) return;
 
     const margin = { top: 30, right: 120, bottom: 80, left: 120 };
 
     // Calculate required dimensions based on data
-    const regions = [...new Set(filteredData.map(d => d.region))].sort();
-    const years = d3.range(1970, 2021, 1);
+    const { rows, columns, rowField, columnField, cells } = viewData.heatmap;
 
-    // Make SVG larger to enable scrolling if needed, but fitting first
+    // Fit the container, growing (and scrolling) when a drilled-down region has many countries
     const width = Math.max(containerWidth, margin.left + margin.right);
-    const height = Math.max(containerHeight, margin.top + margin.bottom);
+    const height = Math.max(containerHeight, margin.top + margin.bottom + rows.length * 14);
 
     const svg = container.append('svg')
         .attr('width', width)
         .attr('height', height);
 
-    const metric = document.querySelector('input[name="metric"]:checked').value;
-
-    const matrixData = [];
-    years.forEach(year => {
-        regions.forEach(region => {
-            const incidents = filteredData.filter(d => d.year === year && d.region === region);
-            let value;
-            if (metric === 'count') {
-                value = incidents.length;
-            } else if (metric === 'casualties') {
-                value = d3.sum(incidents, d => d.killed + d.wounded);
-            } else {
-                value = incidents.length > 0 ? d3.sum(incidents, d => d.killed) / incidents.length : 0;
-            }
-            matrixData.push({ year, region, value });
-        });
-    });
+    const metric = getHeatmapMetric();
+    const transform = document.getElementById('heatmapValues').value;
+    const scaleType = document.getElementById('heatmapScale').value;
+    const diverging = transform === 'change';
+    const matrixData = heatmapMatrix(cells, metric, transform);
+    const format = heatmapFormat(metric, transform);
+
+    const colorScale = heatmapColorScale(matrixData.map(d => d.value).filter(v => v !== null), scaleType, diverging);
 
-    const maxValue = d3.max(matrixData, d => d.value);
+    // Empty cells (and the first column of a change view) stay dark; a zero change is a real value
+    const cellFill = d => d.value === null || (!diverging && d.value <= 0) ? '#1F2937' : colorScale(d.value);
 
     const x = d3.scaleBand()
-        .domain(years)
+        .domain(columns)
         .range([margin.left, width - margin.right])
         .padding(0.05);
 
     const y = d3.scaleBand()
-        .domain(regions)
+        .domain(rows)
         .range([margin.top, height - margin.bottom])
         .padding(0.05);
 
-    const colorScale = d3.scaleSequential()
-        .domain([0, maxValue])
-        .interpolator(d3.interpolateInferno);
+    const cellCriteria = d => ({ [columnField]: d.column, [rowField]: d.row });
+    const cellLabel = d => d.row + ' ' + heatmapColumnLabel(columnField, d.column);
 
     svg.append('g')
         .selectAll('rect')
         .data(matrixData)
         .join('rect')
         .attr('class', 'heatmap-cell')
-        .attr('x', d => x(d.year))
-        .attr('y', d => y(d.region))
+        .attr('x', d => x(d.column))
+        .attr('y', d => y(d.row))
         .attr('width', x.bandwidth())
         .attr('height', y.bandwidth())
-        .attr('fill', d => d.value > 0 ? colorScale(d.value) : '#1F2937')
+        .attr('fill', cellFill)
         .attr('opacity', 0.9)
+        .classed('is-dimmed', d => appState.selections.length > 0 && d.selected === 0)
+        .classed('is-selected', d => isSelectionActive(cellCriteria(d)))
         .on('mouseover', function (event, d) {
             d3.select(this)
                 .attr('opacity', 1)
                 .attr('stroke', '#ff7f00')
                 .attr('stroke-width', 2);
 
-            // Determine metric label
-            const metricLabel = metric === 'count' ? 'Incidents' :
-                              metric === 'casualties' ? 'Casualties' :
-                              'Lethality Index';
+            let detail = '';
+            if (transform === 'share') {
+                detail = `<br/><span>${heatmapValuesLabels.share}: ${format(d.value)}</span>`;
+            } else if (transform === 'change') {
+                detail = d.value === null ? '<br/><span>No previous period</span>' :
+                    `<br/><span>${heatmapValuesLabels.change}: ${format(d.value)} (from ${heatmapFormat(metric, 'absolute')(d.previous)})</span>`;
+            }
 
             const content = `
-                <strong style="font-size: 14px;">${d.region}</strong><br/>
-                <span style="color: #ff7f00;">Year: ${d.year}</span><br/><br/>
-                <span style="color: #377eb8;">${metricLabel}: ${d.value.toLocaleString(undefined, {maximumFractionDigits: 2})}</span>
+                <strong style="font-size: 14px;">${d.row}</strong><br/>
+                <span style="color: #ff7f00;">${heatmapTimeLabels[columnField]}: ${heatmapColumnLabel(columnField, d.column)}</span><br/><br/>
+                <span style="color: #377eb8;">${heatmapMetricLabels[metric]}: ${d.raw.toLocaleString(undefined, {maximumFractionDigits: 2})}</span>${detail}
             `;
             showTip(event, d, content);
         })
@@ -720,77 +2146,130 @@ function updateHeatmap() {
             hideTip();
         })
         .on('click', function (event, d) {
-            currentYear = d.year;
-            document.getElementById('currentYear').textContent = currentYear;
-            updateMap();
+            const selections = toggledSelections(cellCriteria(d), cellLabel(d));
+            const change = { selections: selections };
+            // Selecting (not deselecting) a cell lists its incidents
+            if (selections.length > appState.selections.length) {
+                openIncidents({ label: cellLabel(d), criteria: [cellCriteria(d)] });
+            }
+            // Map points depend on currentYear
+            if (columnField === 'year') change.currentYear = d.column;
+            dispatch(change, { record: columnField === 'year' });
         });
 
-    svg.append('g')
+    const xAxis = svg.append('g')
         .attr('transform', 'translate(0,' + (height - margin.bottom) + ')')
-        .call(d3.axisBottom(x).tickValues(years.filter((d, i) => i % 2 === 0)))
+        .call(d3.axisBottom(x)
+            .tickValues(columnField === 'year' ? columns.filter((d, i) => i % 2 === 0) : columns)
+            .tickFormat(d => heatmapColumnLabel(columnField, d)))
         .selectAll('text')
-        .attr('transform', 'rotate(-45)')
-        .style('text-anchor', 'end')
         .style('font-size', '10px')
         .style('fill', '#F1F5F9');
 
-    svg.append('g')
+    if (columnField === 'year') {
+        xAxis.attr('transform', 'rotate(-45)')
+            .style('text-anchor', 'end');
+    }
+
+    const yLabels = svg.append('g')
         .attr('transform', 'translate(' + margin.left + ',0)')
         .call(d3.axisLeft(y))
         .selectAll('text')
         .style('font-size', '11px')
         .style('fill', '#F1F5F9');
 
+    // Region labels drill down into that region's countries
+    if (rowField === 'region') {
+        yLabels.attr('class', 'heatmap-row-link')
+            .on('click', (event, region) => setHeatmapRegion(region))
+            .append('title')
+            .text(region => 'Show countries in ' + region);
+    }
+
     // Add color legend
     const legendWidth = 20;
     const legendHeight = height - margin.top - margin.bottom;
     const legendX = width - margin.right + 20;
     const legendY = margin.top;
+    let legendScale;
+
+    if (colorScale.quantiles) {
+        // Quantile bins: one equal-height block per bin, labelled at the thresholds
+        const bins = colorScale.range();
+        const thresholds = colorScale.quantiles();
+        const blockHeight = legendHeight / bins.length;
+
+        svg.append('g')
+            .selectAll('rect')
+            .data(bins)
+            .join('rect')
+            .attr('x', legendX)
+            .attr('y', (d, i) => legendY + legendHeight - (i + 1) * blockHeight)
+            .attr('width', legendWidth)
+            .attr('height', blockHeight)
+            .attr('fill', d => d);
+
+        legendScale = d3.scaleLinear()
+            .domain([0, bins.length])
+            .range([legendY + legendHeight, legendY]);
+
+        svg.append('g')
+            .attr('transform', 'translate(' + (legendX + legendWidth) + ',0)')
+            .call(d3.axisRight(legendScale)
+                .tickValues(d3.range(1, bins.length))
+                .tickFormat(i => format(thresholds[i - 1])))
+            .selectAll('text')
+            .style('fill', '#F1F5F9')
+            .style('font-size', '10px');
+    } else {
+        const domain = colorScale.domain();
+        legendScale = (scaleType === 'log' ? d3.scaleSymlog().constant(colorScale.constant()) : d3.scaleLinear())
+            .domain([domain[0], domain[domain.length - 1]])
+            .range([legendY + legendHeight, legendY]);
+
+        // Create legend gradient with defs
+        const defs = svg.append('defs');
+        const linearGradient = defs.append('linearGradient')
+            .attr('id', 'heatmap-gradient-' + metric)
+            .attr('x1', '0%')
+            .attr('y1', '100%')
+            .attr('x2', '0%')
+            .attr('y2', '0%');
+
+        // Sample the color scale along the legend axis so log scales get a matching ramp
+        const numStops = 20;
+        for (let i = 0; i <= numStops; i++) {
+            const value = legendScale.invert(legendY + legendHeight * (1 - i / numStops));
+            linearGradient.append('stop')
+                .attr('offset', (i * 100 / numStops) + '%')
+                .attr('stop-color', colorScale(value));
+        }
 
-    // Create legend gradient with defs
-    const defs = svg.append('defs');
-    const linearGradient = defs.append('linearGradient')
-        .attr('id', 'heatmap-gradient-' + metric)
-        .attr('x1', '0%')
-        .attr('y1', '100%')
-        .attr('x2', '0%')
-        .attr('y2', '0%');
-
-    // Add more gradient stops for smooth transition matching the exact colorScale
-    const numStops = 20;
-    for (let i = 0; i <= numStops; i++) {
-        const t = i / numStops;
-        const value = t * maxValue;
-        linearGradient.append('stop')
-            .attr('offset', (i * 100 / numStops) + '%')
-            .attr('stop-color', colorScale(value));
-    }
-
-    // Draw legend rectangle
-    svg.append('rect')
-        .attr('x', legendX)
-        .attr('y', legendY)
-        .attr('width', legendWidth)
-        .attr('height', legendHeight)
-        .style('fill', 'url(#heatmap-gradient-' + metric + ')')
-        .attr('stroke', '#60A5FA')
-        .attr('stroke-width', 1);
-
-    // Add legend axis
-    const legendScale = d3.scaleLinear()
-        .domain([0, maxValue])
-        .range([legendY + legendHeight, legendY]);
+        // Draw legend rectangle
+        svg.append('rect')
+            .attr('x', legendX)
+            .attr('y', legendY)
+            .attr('width', legendWidth)
+            .attr('height', legendHeight)
+            .style('fill', 'url(#heatmap-gradient-' + metric + ')')
+            .attr('stroke', '#60A5FA')
+            .attr('stroke-width', 1);
+
+        const legendAxis = d3.axisRight(legendScale)
+            .tickFormat(format);
+        if (scaleType === 'log') {
+            legendAxis.tickValues(symlogTicks(legendScale.domain(), colorScale.constant()));
+        } else {
+            legendAxis.ticks(5);
+        }
 
-    const legendAxis = d3.axisRight(legendScale)
-        .ticks(5)
-        .tickFormat(d3.format('.0f'));
-
-    svg.append('g')
-        .attr('transform', 'translate(' + (legendX + legendWidth) + ',0)')
-        .call(legendAxis)
-        .selectAll('text')
-        .style('fill', '#F1F5F9')
-        .style('font-size', '10px');
+        svg.append('g')
+            .attr('transform', 'translate(' + (legendX + legendWidth) + ',0)')
+            .call(legendAxis)
+            .selectAll('text')
+            .style('fill', '#F1F5F9')
+            .style('font-size', '10px');
+    }
 
     // Add axis styling
     svg.select('g').selectAll('line, path')
@@ -805,891 +2284,3436 @@ function updateHeatmap() {
         .style('fill', '#60A5FA')
         .style('font-size', '11px')
         .style('font-weight', '600')
-        .text(metric === 'count' ? 'Count' : metric === 'casualties' ? 'Casualties' : 'Lethality');
+        .text(heatmapValuesLabels[transform] || heatmapMetricLabels[metric]);
 }
 
-// ==== DATA AGGREGATION FUNCTIONS FOR PIE CHART ====
-function aggregateDataByContinent(data) {
-    const continentData = new Map();
+function heatmapMetricValue(cell, metric) {
+    if (metric === 'lethality') return cell.count > 0 ? cell.killed / cell.count : 0;
+    return cell[metric];
+}
 
-    data.forEach(d => {
-        const continent = regionToContinentMap[d.region] || 'Unknown';
-        if (!continentData.has(continent)) {
-            continentData.set(continent, {
-                continent: continent,
-                count: 0,
-                killed: 0,
-                wounded: 0
-            });
-        }
-        const agg = continentData.get(continent);
-        agg.count++;
-        agg.killed += d.killed;
-        agg.wounded += d.wounded;
-    });
+// One value per row/column cell for the chosen metric. `raw` is the metric itself;
+// `value` is what gets colored: the raw value, its share of the row total, or the
+// change from the previous column (null for the first column).
+function heatmapMatrix(cells, metric, transform = 'absolute') {
+    const matrix = cells.map(cell => ({
+        column: cell.column,
+        row: cell.row,
+        raw: heatmapMetricValue(cell, metric),
+        selected: cell.selected
+    }));
+
+    if (transform === 'share') {
+        const rowTotals = d3.rollup(matrix, v => d3.sum(v, d => d.raw), d => d.row);
+        matrix.forEach(d => {
+            const total = rowTotals.get(d.row);
+            d.value = total > 0 ? d.raw / total : 0;
+        });
+    } else if (transform === 'change') {
+        // Cells arrive column by column in axis order, so a row's previous cell is the last one seen
+        const previous = new Map();
+        matrix.forEach(d => {
+            d.previous = previous.has(d.row) ? previous.get(d.row) : null;
+            d.value = d.previous === null ? null : d.raw - d.previous;
+            previous.set(d.row, d.raw);
+        });
+    } else {
+        matrix.forEach(d => {
+            d.value = d.raw;
+        });
+    }
+    return matrix;
+}
+
+function heatmapFormat(metric, transform) {
+    if (transform === 'share') return d3.format('.1%');
+    const base = metric === 'lethality' ? '.2f' : ',.0f';
+    return d3.format(transform === 'change' ? '+' + base : base);
+}
+
+// Sequential (Inferno) or, for changes, diverging (blue = fewer, red = more) color scale.
+// 'log' is a symlog so zero and negative values stay on the scale.
+function heatmapColorScale(values, scaleType, diverging) {
+    const interpolator = diverging ? t => d3.interpolateRdBu(1 - t) : d3.interpolateInferno;
+
+    if (scaleType === 'quantile') {
+        // Empty cells are drawn dark, so they shouldn't claim the low bins; mirroring
+        // the changes keeps zero in the middle bin of the diverging palette
+        const domain = diverging ? values.concat(values.map(v => -v)) : values.filter(v => v > 0);
+        return d3.scaleQuantile()
+            .domain(domain.length > 0 ? domain : [0])
+            .range(d3.quantize(interpolator, diverging ? 9 : 7));
+    }
 
-    return Array.from(continentData.values());
+    const extent = (diverging ? d3.max(values, Math.abs) : d3.max(values)) || 1;
+    if (scaleType === 'log') {
+        // The constant sets where the scale turns logarithmic: three decades below the extent
+        return diverging
+            ? d3.scaleDivergingSymlog(interpolator).domain([-extent, 0, extent]).constant(extent / 1000)
+            : d3.scaleSequentialSymlog(interpolator).domain([0, extent]).constant(extent / 1000);
+    }
+    return diverging
+        ? d3.scaleDiverging(interpolator).domain([-extent, 0, extent])
+        : d3.scaleSequential(interpolator).domain([0, extent]);
 }
 
-function aggregateDataByCountry(data, continent) {
-    const countryData = new Map();
+// Zero plus powers of ten (mirrored for negative values) inside a symlog domain
+function symlogTicks(domain, constant) {
+    const max = Math.max(Math.abs(domain[0]), Math.abs(domain[1]));
+    const ticks = [0];
+    for (let p = Math.ceil(Math.log10(constant * 10)); Math.pow(10, p) <= max; p++) {
+        ticks.push(Math.pow(10, p));
+        if (domain[0] < 0) ticks.unshift(-Math.pow(10, p));
+    }
+    return ticks;
+}
 
-    const filtered = data.filter(d => regionToContinentMap[d.region] === continent);
+// ==== TIME SERIES ====
+// Incidents, killed or wounded per year or month, optionally split into the top few
+// regions, countries, attack types or groups. A centered moving average draws the trend;
+// points far above it are marked as spikes.
+const timeSeriesSplitLabels = {
+    region: 'Region',
+    country: 'Country',
+    attackType: 'Attack type',
+    groupName: 'Group'
+};
 
-    filtered.forEach(d => {
-        if (!countryData.has(d.country)) {
-            countryData.set(d.country, {
-                country: d.country,
-                continent: continent,
-                count: 0,
-                killed: 0,
-                wounded: 0
-            });
-        }
-        const agg = countryData.get(d.country);
-        agg.count++;
-        agg.killed += d.killed;
-        agg.wounded += d.wounded;
+const timeSeriesMeasureLabels = {
+    count: 'Incidents',
+    killed: 'Killed',
+    wounded: 'Wounded'
+};
+
+const defaultTimeSeriesTrend = 5;
+
+// A spike sits this many standard deviations of the residuals above the trend
+const SPIKE_THRESHOLD = 2.5;
+
+function initTimeSeries() {
+    updateTimeSeries();
+}
+
+function setupTimeSeriesControls() {
+    d3.select('#timeSeriesSplit')
+        .selectAll('option')
+        .data([['', 'None']].concat(Object.entries(timeSeriesSplitLabels)))
+        .join('option')
+        .attr('value', d => d[0])
+        .text(d => d[1]);
+
+    // Measure, resolution and split change what the engine aggregates
+    document.querySelectorAll('#timeSeriesMeasure, #timeSeriesTime, #timeSeriesSplit').forEach(control => {
+        control.addEventListener('change', () => {
+            recordViewState();
+            updateAll();
+        });
+    });
+
+    document.querySelectorAll('#timeSeriesTrend, #timeSeriesSpikes').forEach(control => {
+        control.addEventListener('change', () => {
+            recordViewState();
+            updateTimeSeries();
+        });
     });
+}
 
-    return Array.from(countryData.values()).sort((a, b) => b.count - a.count).slice(0, 10); // Top 10
+function getTimeSeriesOptions() {
+    return {
+        measure: document.getElementById('timeSeriesMeasure').value,
+        time: document.getElementById('timeSeriesTime').value,
+        split: document.getElementById('timeSeriesSplit').value,
+        trend: parseInt(document.getElementById('timeSeriesTrend').value, 10) || 0,
+        spikes: document.getElementById('timeSeriesSpikes').checked
+    };
 }
 
-function aggregateDataByAttackType(data, country) {
-    const attackData = new Map();
+function setTimeSeriesOptions(options) {
+    const measure = document.getElementById('timeSeriesMeasure');
+    measure.value = hasOption(measure, options.measure) ? options.measure : 'count';
+    const time = document.getElementById('timeSeriesTime');
+    time.value = hasOption(time, options.time) ? options.time : 'year';
+    const split = document.getElementById('timeSeriesSplit');
+    split.value = hasOption(split, options.split) ? options.split : '';
+    const trend = document.getElementById('timeSeriesTrend');
+    trend.value = hasOption(trend, String(options.trend)) ? String(options.trend) : String(defaultTimeSeriesTrend);
+    document.getElementById('timeSeriesSpikes').checked = options.spikes;
+}
 
-    const filtered = data.filter(d => d.country === country);
+function periodDate(period, time) {
+    return time === 'month'
+        ? new Date(Date.UTC(Math.floor(period / 12), period % 12, 1))
+        : new Date(Date.UTC(period, 0, 1));
+}
 
-    filtered.forEach(d => {
-        const key = d.attackType;
-        if (!attackData.has(key)) {
-            attackData.set(key, {
-                attackType: key,
-                country: country,
-                count: 0,
-                killed: 0,
-                wounded: 0
-            });
-        }
-        const agg = attackData.get(key);
-        agg.count++;
-        agg.killed += d.killed;
-        agg.wounded += d.wounded;
-    });
+function formatPeriod(period, time) {
+    return time === 'month' ? d3.utcFormat('%b %Y')(periodDate(period, time)) : String(period);
+}
 
-    return Array.from(attackData.values());
+// Centered moving average; the window shrinks at the ends of the series
+function movingAverage(values, window) {
+    const half = Math.floor(window / 2);
+    return values.map((v, i) => d3.mean(values.slice(Math.max(0, i - half), i + half + 1)));
 }
 
-// ==== DYNAMIC HIERARCHICAL PIE CHART WITH HOVER ZOOM ====
-function initAttackChart() {
-    updateAttackChart();
+// Indexes of points that rise more than SPIKE_THRESHOLD residual deviations above the trend
+function findSpikes(values, trend) {
+    const residuals = values.map((v, i) => v - trend[i]);
+    const deviation = d3.deviation(residuals);
+    if (!deviation) return [];
+
+    return residuals
+        .map((r, i) => ({ index: i, z: r / deviation }))
+        .filter(d => d.z > SPIKE_THRESHOLD && values[d.index] > 0);
 }
 
-function updateAttackChart() {
-    const container = d3.select('#attack-chart-container');
+// Each series with its trend and spikes, as drawn (and exported)
+function timeSeriesLines(timeSeries, options) {
+    // Spikes need a trend to measure against, even when the trend line is hidden
+    const window = options.trend || (timeSeries.time === 'month' ? 12 : defaultTimeSeriesTrend);
+
+    return timeSeries.series.map(series => {
+        const trend = movingAverage(series.values, window);
+        return {
+            key: series.key,
+            values: series.values,
+            trend: trend,
+            spikes: options.spikes ? findSpikes(series.values, trend) : []
+        };
+    });
+}
+
+function updateTimeSeries() {
+    const container = d3.select('#timeseries-container');
     container.selectAll('*').remove();
 
+    if (!viewData) return;
+
+    const timeSeries = viewData.timeSeries;
+    const options = getTimeSeriesOptions();
+    const lines = timeSeriesLines(timeSeries, options);
+    const periods = timeSeries.periods;
+
+    d3.select('#timeSeriesUndated')
+        .text(timeSeries.undated > 0 ? timeSeries.undated.toLocaleString() + ' incidents without a month' : '');
+
     const bbox = container.node().getBoundingClientRect();
     const width = bbox.width;
     const height = bbox.height;
-    const centerX = width / 2;
-    const centerY = height / 2;
-    // Calculate radius to fit all layers (base + country + attack type layers)
-    // Attack type layer goes to radius * 1.5, plus labels at 1.7
-    // Increased radius for better spacing and visibility
-    const radius = Math.min(width, height) / 2 / 2.0;
+    const margin = { top: 20, right: 180, bottom: 40, left: 60 };
 
     const svg = container.append('svg')
         .attr('width', width)
         .attr('height', height);
 
-    const g = svg.append('g')
-        .attr('transform', `translate(${centerX},${centerY})`);
+    const maxValue = d3.max(lines, line => d3.max(line.values)) || 0;
+    if (periods.length === 0 || maxValue === 0) {
+        svg.append('text')
+            .attr('class', 'timeseries-empty')
+            .attr('x', width / 2)
+            .attr('y', height / 2)
+            .attr('text-anchor', 'middle')
+            .text('No incidents for the current filters');
+        return;
+    }
 
-    // Get all continents data
-    const continentData = aggregateDataByContinent(filteredData);
+    const x = d3.scaleUtc()
+        .domain([periodDate(periods[0], timeSeries.time), periodDate(periods[periods.length - 1], timeSeries.time)])
+        .range([margin.left, width - margin.right]);
 
-    // Create pie layout
-    const pie = d3.pie()
-        .value(d => d.count)
-        .sort(null)
-        .padAngle(0.02);
+    const y = d3.scaleLinear()
+        .domain([0, maxValue])
+        .nice()
+        .range([height - margin.bottom, margin.top]);
 
-    const baseArc = d3.arc()
-        .innerRadius(radius * 0.5)
-        .outerRadius(radius * 0.85);
+    const color = timeSeries.split
+        ? d3.scaleOrdinal(d3.schemeSet1).domain(lines.map(line => line.key))
+        : () => '#377eb8';
 
-    // Create continent slices
-    const continentArcs = g.selectAll('.continent-arc')
-        .data(pie(continentData))
-        .enter().append('g')
-        .attr('class', 'continent-arc');
+    const px = i => x(periodDate(periods[i], timeSeries.time));
+    const line = d3.line()
+        .x((d, i) => px(i))
+        .y(d => y(d));
 
-    // Create gradient definitions
-    const defs = svg.append('defs');
-    continentData.forEach((d, i) => {
-        const gradient = defs.append('radialGradient')
-            .attr('id', `continent-gradient-${i}`)
-            .attr('cx', '50%')
-            .attr('cy', '50%');
+    svg.append('g')
+        .attr('class', 'timeseries-axis')
+        .attr('transform', 'translate(0,' + (height - margin.bottom) + ')')
+        .call(d3.axisBottom(x).ticks(Math.max(2, Math.floor((width - margin.left - margin.right) / 80))));
 
-        gradient.append('stop')
-            .attr('offset', '0%')
-            .attr('stop-color', d3.color(continentColors[d.continent]).brighter(0.3));
+    svg.append('g')
+        .attr('class', 'timeseries-axis')
+        .attr('transform', 'translate(' + margin.left + ',0)')
+        .call(d3.axisLeft(y).ticks(5).tickFormat(d3.format('~s')));
 
-        gradient.append('stop')
-            .attr('offset', '100%')
-            .attr('stop-color', continentColors[d.continent]);
-    });
+    svg.append('text')
+        .attr('class', 'timeseries-axis-label')
+        .attr('transform', 'rotate(-90)')
+        .attr('x', -(margin.top + height - margin.bottom) / 2)
+        .attr('y', 14)
+        .attr('text-anchor', 'middle')
+        .text(timeSeriesMeasureLabels[timeSeries.measure] + ' per ' + timeSeries.time);
 
-    // Draw continent paths
-    continentArcs.append('path')
-        .attr('d', baseArc)
-        .attr('fill', (d, i) => `url(#continent-gradient-${i})`)
-        .attr('opacity', 0.9)
-        .attr('stroke', '#0B1120')
-        .attr('stroke-width', 3)
-        .style('cursor', 'pointer')
-        .style('filter', 'drop-shadow(0 4px 6px rgba(0, 0, 0, 0.3))')
-        .each(function (d) { this._current = d; });
+    const series = svg.append('g')
+        .attr('class', 'timeseries-lines')
+        .selectAll('g')
+        .data(lines)
+        .join('g')
+        .attr('class', 'timeseries-series');
+
+    // With a trend shown, the raw values step back so the trend reads first
+    series.append('path')
+        .attr('class', 'timeseries-line')
+        .classed('is-faded', options.trend > 0)
+        .attr('d', d => line(d.values))
+        .attr('stroke', d => color(d.key));
+
+    if (options.trend > 0) {
+        series.append('path')
+            .attr('class', 'timeseries-trend')
+            .attr('d', d => line(d.trend))
+            .attr('stroke', d => color(d.key));
+    }
 
-    // Add continent labels with smart positioning
-    continentArcs.append('text')
-        .attr('transform', d => {
-            const angle = d.endAngle - d.startAngle;
-            // For small slices, position label outside
-            if (angle < 0.25) {
-                const outerArc = d3.arc()
-                    .innerRadius(radius * 0.95)
-                    .outerRadius(radius * 0.95);
-                const pos = outerArc.centroid(d);
-                const midAngle = d.startAngle + angle / 2;
-                // Push label further out for very small slices
-                pos[0] = pos[0] * 1.15;
-                pos[1] = pos[1] * 1.15;
-                return `translate(${pos})`;
-            }
-            return `translate(${baseArc.centroid(d)})`;
-        })
-        .attr('text-anchor', d => {
-            const angle = d.endAngle - d.startAngle;
-            if (angle < 0.25) {
-                const midAngle = d.startAngle + (d.endAngle - d.startAngle) / 2;
-                return midAngle < Math.PI ? 'start' : 'end';
-            }
-            return 'middle';
+    series.selectAll('circle')
+        .data(d => d.spikes.map(spike => ({ ...spike, line: d })))
+        .join('circle')
+        .attr('class', 'timeseries-spike')
+        .attr('cx', d => px(d.index))
+        .attr('cy', d => y(d.line.values[d.index]))
+        .attr('r', 5)
+        .attr('stroke', d => color(d.line.key))
+        .on('mouseover', (event, d) => {
+            showTip(event, d, `
+                <div class="tooltip-title">Unusual spike</div>
+                <div class="tooltip-content">
+                    <strong>${d.line.key}</strong>, ${formatPeriod(periods[d.index], timeSeries.time)}<br>
+                    ${timeSeriesMeasureLabels[timeSeries.measure]}: ${d.line.values[d.index].toLocaleString()}
+                    (trend ${d3.format(',.1f')(d.line.trend[d.index])}, +${d.z.toFixed(1)}σ)
+                </div>`);
         })
-        .attr('dy', d => {
-            const angle = d.endAngle - d.startAngle;
-            // Adjust vertical positioning for small slices
-            if (angle < 0.25) {
-                return '0.35em';
-            }
-            return '0.35em';
+        .on('mouseout', hideTip);
+
+    // Legend to the right of the plot
+    const legend = svg.append('g')
+        .attr('class', 'timeseries-legend')
+        .attr('transform', 'translate(' + (width - margin.right + 16) + ',' + margin.top + ')');
+
+    const legendItems = legend.selectAll('g')
+        .data(lines)
+        .join('g')
+        .attr('transform', (d, i) => 'translate(0,' + i * 18 + ')');
+
+    legendItems.append('line')
+        .attr('x2', 16)
+        .attr('y1', 6)
+        .attr('y2', 6)
+        .attr('stroke', d => color(d.key));
+
+    legendItems.append('text')
+        .attr('x', 22)
+        .attr('y', 10)
+        .text(d => d.key.length > 22 ? d.key.slice(0, 21) + '…' : d.key)
+        .append('title')
+        .text(d => d.key);
+
+    // Hover guide: nearest period's values for every series; click a year to make it current
+    const guide = svg.append('line')
+        .attr('class', 'timeseries-guide')
+        .attr('y1', margin.top)
+        .attr('y2', height - margin.bottom)
+        .style('display', 'none');
+
+    const nearestIndex = event => {
+        const date = x.invert(d3.pointer(event)[0]);
+        const i = d3.bisectCenter(periods.map(p => periodDate(p, timeSeries.time)), date);
+        return Math.max(0, Math.min(periods.length - 1, i));
+    };
+
+    svg.insert('rect', '.timeseries-lines')
+        .attr('class', 'timeseries-overlay')
+        .attr('x', margin.left)
+        .attr('y', margin.top)
+        .attr('width', Math.max(0, width - margin.left - margin.right))
+        .attr('height', Math.max(0, height - margin.top - margin.bottom))
+        .on('mousemove', function (event) {
+            const i = nearestIndex(event);
+            guide.style('display', null).attr('x1', px(i)).attr('x2', px(i));
+            showTip(event, null, `
+                <div class="tooltip-title">${formatPeriod(periods[i], timeSeries.time)}</div>
+                <div class="tooltip-content">
+                    ${lines.map(l => `<span style="color: ${color(l.key)};">●</span> ${l.key}: ${l.values[i].toLocaleString()}`).join('<br>')}
+                </div>`);
         })
-        .style('fill', '#F1F5F9')
-        .style('font-size', d => {
-            const angle = d.endAngle - d.startAngle;
-            return angle < 0.15 ? '9px' : '12px'; // Adjusted for smaller slices
+        .on('mouseout', () => {
+            guide.style('display', 'none');
+            hideTip();
         })
-        .style('font-weight', '700')
-        .style('pointer-events', 'none')
-        .style('text-shadow', '0 2px 4px rgba(0, 0, 0, 0.8)')
-        .text(d => {
-            const angle = d.endAngle - d.startAngle;
-            // For very small slices, show abbreviated name
-            if (angle < 0.15) {
-                return d.data.continent.substring(0, 4);
-            }
-            return d.data.continent.split(' ')[0];
+        .on('click', function (event) {
+            if (timeSeries.time !== 'year') return;
+            dispatch({ currentYear: periods[nearestIndex(event)] });
         });
+}
 
-    // Center statistics
-    const centerGroup = g.append('g').attr('class', 'center-stats');
+// ==== INCIDENT TABLE ====
+// The filtered incidents one row each. The engine keeps the searched and sorted list and
+// hands out pages; only the rows in view are in the DOM. Clicking a map cluster or point,
+// or selecting a heatmap cell, scopes the table to those incidents.
+const incidentColumns = [
+    { field: 'date', label: 'Date', value: formatIncidentDate },
+    { field: 'city', label: 'City' },
+    { field: 'country', label: 'Country' },
+    { field: 'groupName', label: 'Group' },
+    { field: 'attackType', label: 'Attack', value: d => withSecondaryTypes(d.attackType, d.secondaryAttackTypes) },
+    { field: 'targetType', label: 'Target', value: d => withSecondaryTypes(d.targetType, d.secondaryTargetTypes) },
+    { field: 'weaponType', label: 'Weapon', value: d => withSecondaryTypes(d.weaponType, d.secondaryWeaponTypes) },
+    { field: 'killed', label: 'Killed', numeric: true },
+    { field: 'wounded', label: 'Wounded', numeric: true }
+];
+
+const INCIDENT_ROW_HEIGHT = 28;
+const INCIDENT_PAGE_SIZE = 200;
+const INCIDENT_OVERSCAN = 10;
+
+const incidentTable = {
+    scope: null,
+    search: '',
+    sort: { field: null, descending: false },
+    query: null,
+    total: 0,
+    pages: new Map(),
+    activeRow: null
+};
 
-    const totalIncidents = d3.sum(continentData, d => d.count);
-    const totalDeaths = d3.sum(continentData, d => d.killed);
+function setupIncidentTable() {
+    d3.select('#incidentHeader').selectAll('span')
+        .data(incidentColumns)
+        .join('span')
+        .classed('is-numeric', d => d.numeric)
+        .attr('title', 'Sort by this column')
+        .text(d => d.label)
+        .on('click', (event, d) => {
+            const sort = incidentTable.sort;
+            incidentTable.sort = { field: d.field, descending: sort.field === d.field && !sort.descending };
+            updateIncidentTable();
+        });
 
-    centerGroup.append('circle')
-        .attr('r', radius * 0.45)
-        .attr('fill', 'rgba(26, 26, 26, 0.95)')
-        .attr('stroke', '#377eb8')
-        .attr('stroke-width', 2)
-        .style('filter', 'drop-shadow(0 4px 8px rgba(0, 0, 0, 0.5))')
-        .style('pointer-events', 'none'); // Allow hover events to pass through
+    let searchTimer = null;
+    document.getElementById('incidentSearch').addEventListener('input', function () {
+        clearTimeout(searchTimer);
+        searchTimer = setTimeout(() => {
+            incidentTable.search = this.value.trim();
+            updateIncidentTable();
+        }, 200);
+    });
 
-    const centerValue = centerGroup.append('text')
-        .attr('text-anchor', 'middle')
-        .attr('dy', '-2.2em')
-        .style('fill', '#ff7f00')
-        .style('font-size', '24px')
-        .style('font-weight', '800')
-        .style('pointer-events', 'none')
-        .text(totalIncidents.toLocaleString());
+    document.getElementById('incidentScopeClear').addEventListener('click', () => openIncidents(null));
 
-    const centerLabel = centerGroup.append('text')
-        .attr('text-anchor', 'middle')
-        .attr('dy', '-0.8em')
-        .style('fill', '#F1F5F9')
-        .style('font-size', '10px')
-        .style('font-weight', '500')
-        .style('pointer-events', 'none')
-        .text('Total Incidents');
+    let scrollFrame = null;
+    document.getElementById('incident-container').addEventListener('scroll', () => {
+        if (scrollFrame) cancelAnimationFrame(scrollFrame);
+        scrollFrame = requestAnimationFrame(renderIncidentRows);
+    });
+}
 
-    const deathValue = centerGroup.append('text')
-        .attr('text-anchor', 'middle')
-        .attr('dy', '0.5em')
-        .style('fill', '#e41a1c')
-        .style('font-size', '20px')
-        .style('font-weight', '700')
-        .style('pointer-events', 'none')
-        .text(totalDeaths.toLocaleString());
+// Scope: { label, locations: [locationKey, ...] } or { label, criteria: [selection criteria, ...] }; null shows everything
+function openIncidents(scope) {
+    incidentTable.scope = scope;
+    document.getElementById('incidentScope').hidden = !scope;
+    document.getElementById('incidentScopeLabel').textContent = scope ? scope.label : '';
+    updateIncidentTable();
+}
 
-    const deathLabel = centerGroup.append('text')
-        .attr('text-anchor', 'middle')
-        .attr('dy', '2.5em')
-        .style('fill', '#CBD5E1')
-        .style('font-size', '10px')
-        .style('font-weight', '500')
-        .style('pointer-events', 'none')
-        .text('Deaths');
+function openClusterIncidents(cluster) {
+    engineRequest('clusterLocations', { id: cluster.id, generation: cluster.generation })
+        .then(locations => {
+            // Only a bubble several map updates old is gone from the engine
+            if (!locations) {
+                console.warn('Cluster ' + cluster.id + ' is no longer on the map');
+                return;
+            }
+            openIncidents({
+                label: cluster.count.toLocaleString() + ' incidents at ' + locations.length.toLocaleString() + ' locations',
+                locations: locations
+            });
+        })
+        .catch(error => console.error('Cluster incidents failed:', error));
+}
 
-    // Center Text (Dynamic) - removed to prevent overlap, info is in header
+// New filters, scope, search or sort start the list over; otherwise only the visible rows change
+function updateIncidentTable() {
+    if (!viewData) return;
 
-    // Hover interactions for focused exploration
-    let currentHoverTimeout = null;
+    const query = {
+        filters: getFilterState(),
+        scope: incidentTable.scope && { locations: incidentTable.scope.locations, criteria: incidentTable.scope.criteria },
+        search: incidentTable.search,
+        sort: incidentTable.sort
+    };
+    const key = JSON.stringify(query);
 
-    continentArcs
-        .on('mouseenter', function (event, d) {
-            const continent = d.data.continent;
+    d3.select('#incidentHeader').selectAll('span')
+        .classed('is-sorted', d => d.field === incidentTable.sort.field)
+        .classed('is-descending', d => d.field === incidentTable.sort.field && incidentTable.sort.descending);
 
-            // Clear any pending timeout
-            if (currentHoverTimeout) {
-                clearTimeout(currentHoverTimeout);
-                currentHoverTimeout = null;
-            }
+    if (incidentTable.query && incidentTable.query.key === key) {
+        renderIncidentRows();
+        return;
+    }
 
-            // Hide other continents completely
-            continentArcs.selectAll('path')
-                .transition()
-                .duration(300)
-                .attr('opacity', cd => cd.data.continent === continent ? 1 : 0.08);
+    incidentTable.query = { key: key, payload: query };
+    incidentTable.pages = new Map();
+    incidentTable.activeRow = null;
+    document.getElementById('incident-container').scrollTop = 0;
+    fetchIncidentPage(0);
+}
 
-            continentArcs.selectAll('text')
-                .transition()
-                .duration(300)
-                .style('opacity', cd => cd.data.continent === continent ? 1 : 0.2);
+function fetchIncidentPage(page) {
+    const query = incidentTable.query;
+    incidentTable.pages.set(page, null);
+
+    engineRequest('incidents', {
+        ...query.payload,
+        offset: page * INCIDENT_PAGE_SIZE,
+        limit: INCIDENT_PAGE_SIZE
+    })
+        .then(result => {
+            // A newer query replaced this one while the page was on its way
+            if (incidentTable.query !== query) return;
+            incidentTable.total = result.total;
+            incidentTable.pages.set(page, result.rows);
+            renderIncidentRows();
+        })
+        .catch(error => {
+            incidentTable.pages.delete(page);
+            console.error('Incident table update failed:', error);
+        });
+}
 
-            // Show countries for this continent with better positioning
-            showCountriesFocused(g, continent, radius, centerValue, centerLabel, deathValue, deathLabel, d);
+function renderIncidentRows() {
+    const container = document.getElementById('incident-container');
+    const total = incidentTable.total;
+    const first = Math.max(0, Math.floor(container.scrollTop / INCIDENT_ROW_HEIGHT) - INCIDENT_OVERSCAN);
+    const last = Math.min(total, Math.ceil((container.scrollTop + container.clientHeight) / INCIDENT_ROW_HEIGHT) + INCIDENT_OVERSCAN);
 
-            // Show tooltip
-            const content = `
-                <strong style="font-size: 14px;">${continent}</strong><br/>
-                <span style="color: #ff7f00;">Incidents: ${d.data.count.toLocaleString()}</span><br/>
-                <span style="color: #e41a1c;">Deaths: ${d.data.killed.toLocaleString()}</span><br/>
-                <span style="color: #4daf4a;">Wounded: ${d.data.wounded.toLocaleString()}</span>
-            `;
-            showTip(event, d.data, content);
+    document.getElementById('incidentCount').textContent = total.toLocaleString() + (total === 1 ? ' incident' : ' incidents');
+
+    const rows = [];
+    for (let index = first; index < last; index++) {
+        const page = Math.floor(index / INCIDENT_PAGE_SIZE);
+        if (!incidentTable.pages.has(page)) fetchIncidentPage(page);
+        const loaded = incidentTable.pages.get(page);
+        rows.push({ index: index, record: loaded ? loaded[index - page * INCIDENT_PAGE_SIZE] : null });
+    }
+
+    const spacer = d3.select(container).select('.incident-spacer')
+        .style('height', total * INCIDENT_ROW_HEIGHT + 'px');
+
+    spacer.selectAll('div.incident-row')
+        .data(rows, d => d.index)
+        .join('div')
+        .attr('class', 'incident-row')
+        .classed('is-odd', d => d.index % 2 === 1)
+        .classed('is-loading', d => !d.record)
+        .classed('is-active', d => d.index === incidentTable.activeRow)
+        .style('top', d => d.index * INCIDENT_ROW_HEIGHT + 'px')
+        .attr('title', d => d.record && d.record.summary ? d.record.summary : null)
+        .on('click', (event, d) => {
+            if (!d.record) return;
+            incidentTable.activeRow = d.index;
+            spacer.selectAll('div.incident-row').classed('is-active', row => row.index === d.index);
+            if (d.record.latitude !== null) zoomToLocation(d.record.longitude, d.record.latitude, 6);
         })
-        .on('mouseleave', function (event, d) {
-            // Add generous delay to allow moving to country/attack layers
-            currentHoverTimeout = setTimeout(() => {
-                const relatedTarget = event.relatedTarget;
-                const countryLayer = g.select('.country-layer').node();
-                const attackLayer = g.select('.attack-layer').node();
+        .selectAll('span')
+        .data(d => incidentColumns.map(column => ({ column: column, record: d.record })))
+        .join('span')
+        .classed('is-numeric', d => d.column.numeric)
+        .text(d => {
+            if (!d.record) return d.column.field === 'date' ? '…' : '';
+            const value = d.column.value ? d.column.value(d.record) : d.record[d.column.field];
+            if (!d.column.numeric) return value;
+            return value === null ? 'Unknown' : value.toLocaleString();
+        });
+}
 
-                if (!countryLayer ||
-                    (!relatedTarget ||
-                        (!countryLayer.contains(relatedTarget) &&
-                            !(attackLayer && attackLayer.contains(relatedTarget))))) {
-                    // Restore all continents
-                    continentArcs.selectAll('path')
-                        .transition()
-                        .duration(400)
-                        .attr('opacity', 0.9);
+function withSecondaryTypes(primary, secondary) {
+    return secondary && secondary.length > 0 ? [primary].concat(secondary).join(' + ') : primary;
+}
 
-                    continentArcs.selectAll('text')
-                        .transition()
-                        .duration(400)
-                        .style('opacity', 1);
+// Year, then month and day as far as they are known
+function formatIncidentDate(d) {
+    const pad = value => String(value).padStart(2, '0');
+    if (!d.month) return String(d.year);
+    return d.year + '-' + pad(d.month) + (d.day ? '-' + pad(d.day) : '');
+}
 
-                    // Remove layers
-                    g.selectAll('.country-layer, .attack-layer')
-                        .transition()
-                        .duration(300)
-                        .style('opacity', 0)
-                        .remove();
+// ==== DATA QUALITY ====
+// What the loader dropped and why, and how often each field is missing per year or region.
+// Incidents without coordinates are kept but only reach the non-map views when included.
 
-                    // Restore center stats
-                    centerValue.text(totalIncidents.toLocaleString());
-                    centerLabel.text('Total Incidents');
-                    deathValue.text(totalDeaths.toLocaleString());
-                    deathLabel.text('Deaths');
+// Set by loadData from the parse counts (or the cache entry that stored them)
+let dataQuality = null;
 
-                    hideTip();
-                }
-            }, 400); // Generous delay for easier navigation
-        });
+const excludedReasonLabels = {
+    missingYear: 'no year',
+    yearOutOfRange: 'year before 1970 or in the future'
+};
+
+const qualityFieldLabels = {
+    coordinates: 'Coordinates',
+    month: 'Month',
+    day: 'Day',
+    killed: 'Killed',
+    wounded: 'Wounded',
+    perpetrators: 'Perpetrators',
+    city: 'City',
+    group: 'Group'
+};
+
+function setupQualityPanel() {
+    document.getElementById('includeUnlocated').addEventListener('change', function () {
+        dispatch({ filters: { includeUnlocated: this.checked } });
+    });
+    document.getElementById('qualityBy').addEventListener('change', updateQualityPanel);
 }
 
-// New focused interaction function
-function showCountriesFocused(g, continent, baseRadius, centerValue, centerLabel, deathValue, deathLabel, continentArcData) {
-    // Remove existing country/attack layers
-    g.selectAll('.country-layer, .attack-layer').remove();
+function updateQualityPanel() {
+    const container = d3.select('#quality-container');
+    const containerWidth = container.node().getBoundingClientRect().width;
+    const containerHeight = container.node().getBoundingClientRect().height;
 
-    const countryData = aggregateDataByCountry(filteredData, continent).slice(0, 10); // Top 10 countries
+    container.selectAll('*').remove();
+    updateQualitySummary();
 
-    if (countryData.length === 0) return;
+    if (!viewData) return;
 
-    const pie = d3.pie()
-        .value(d => d.count)
-        .sort(null)
-        .padAngle(0.02);
+    const quality = viewData.quality;
+    const by = document.getElementById('qualityBy').value;
+    const groups = by === 'region' ? quality.regions : quality.years;
+    const fields = quality.fields;
+    if (groups.length === 0) return;
 
-    const countryArc = d3.arc()
-        .innerRadius(baseRadius * 0.88)
-        .outerRadius(baseRadius * 1.2);
+    const margin = { top: 20, right: 90, bottom: by === 'region' ? 150 : 50, left: 110 };
+    const width = Math.max(containerWidth, margin.left + margin.right + groups.length * 12);
+    const height = Math.max(containerHeight, margin.top + margin.bottom + fields.length * 18);
 
-    const countryLayer = g.append('g').attr('class', 'country-layer');
+    const svg = container.append('svg')
+        .attr('width', width)
+        .attr('height', height);
 
-    // Setup color scale for countries
-    countryColorScale.domain([0, countryData.length - 1]);
+    const x = d3.scaleBand()
+        .domain(groups.map(d => d.key))
+        .range([margin.left, width - margin.right])
+        .padding(0.05);
 
-    const countryArcs = countryLayer.selectAll('.country-arc')
-        .data(pie(countryData))
-        .enter().append('g')
-        .attr('class', 'country-arc');
+    const y = d3.scaleBand()
+        .domain(fields)
+        .range([margin.top, height - margin.bottom])
+        .padding(0.05);
 
-    countryArcs.append('path')
-        .attr('d', countryArc)
-        .attr('fill', (d, i) => d3.interpolateViridis(i / (countryData.length - 1)))
-        .attr('opacity', 0)
-        .attr('stroke', '#0B1120')
-        .attr('stroke-width', 2)
-        .style('cursor', 'pointer')
-        .style('pointer-events', 'all')
-        .transition()
-        .duration(350)
-        .attr('opacity', 0.95);
+    const color = d3.scaleSequential(d3.interpolateYlOrRd).domain([0, 1]);
 
-    // Better label positioning using the empty space - increased spacing
-    countryArcs.append('text')
-        .attr('transform', d => {
-            const angle = d.endAngle - d.startAngle;
-            // Position outside for better visibility
-            const outerArc = d3.arc()
-                .innerRadius(baseRadius * 1.35)
-                .outerRadius(baseRadius * 1.35);
-            return `translate(${outerArc.centroid(d)})`;
-        })
-        .attr('text-anchor', d => {
-            const midAngle = d.startAngle + (d.endAngle - d.startAngle) / 2;
-            return midAngle < Math.PI ? 'start' : 'end';
+    const cells = [];
+    groups.forEach(group => {
+        fields.forEach(field => {
+            cells.push({ group: group, field: field, share: group.total > 0 ? group.missing[field] / group.total : 0 });
+        });
+    });
+
+    svg.append('g')
+        .selectAll('rect')
+        .data(cells)
+        .join('rect')
+        .attr('class', 'quality-cell')
+        .attr('x', d => x(d.group.key))
+        .attr('y', d => y(d.field))
+        .attr('width', x.bandwidth())
+        .attr('height', y.bandwidth())
+        .attr('fill', d => d.share > 0 ? color(d.share) : '#1F2937')
+        .on('mouseover', function (event, d) {
+            d3.select(this).attr('stroke', '#ff7f00').attr('stroke-width', 2);
+            showTip(event, d, `
+                <strong style="font-size: 14px;">${d.group.key}</strong><br/>
+                <span style="color: #ff7f00;">${qualityFieldLabels[d.field] || d.field} missing</span><br/><br/>
+                ${d.group.missing[d.field].toLocaleString()} of ${d.group.total.toLocaleString()} incidents
+                (${d3.format('.1%')(d.share)})
+            `);
         })
+        .on('mouseout', function () {
+            d3.select(this).attr('stroke', 'none');
+            hideTip();
+        });
+
+    const keys = groups.map(d => d.key);
+    svg.append('g')
+        .attr('transform', 'translate(0,' + (height - margin.bottom) + ')')
+        .call(d3.axisBottom(x)
+            .tickValues(by === 'year' ? keys.filter((d, i) => i % 2 === 0) : keys))
+        .selectAll('text')
+        .style('font-size', '10px')
         .style('fill', '#F1F5F9')
-        .style('font-size', d => {
-            const angle = d.endAngle - d.startAngle;
-            return angle > 0.2 ? '11px' : '9px';
-        })
-        .style('font-weight', '600')
-        .style('pointer-events', 'none')
-        .style('text-shadow', '0 2px 4px rgba(0, 0, 0, 0.9)')
-        .style('opacity', 0)
-        .text(d => {
-            const angle = d.endAngle - d.startAngle;
-            const maxLength = angle > 0.3 ? 12 : (angle > 0.15 ? 8 : 6);
-            return d.data.country.substring(0, maxLength);
-        })
-        .transition()
-        .duration(400)
-        .style('opacity', 1);
+        .attr('transform', 'rotate(-45)')
+        .style('text-anchor', 'end');
 
-    // Hover interactions for countries - focused view
-    let countryHoverTimeout = null;
+    svg.append('g')
+        .attr('transform', 'translate(' + margin.left + ',0)')
+        .call(d3.axisLeft(y).tickFormat(field => qualityFieldLabels[field] || field))
+        .selectAll('text')
+        .style('font-size', '11px')
+        .style('fill', '#F1F5F9');
 
-    countryArcs
-        .on('mouseenter', function (event, d) {
-            const country = d.data.country;
+    // Color legend: share of incidents missing the field
+    const legendHeight = height - margin.top - margin.bottom;
+    const legendX = width - margin.right + 20;
+    const legendScale = d3.scaleLinear().domain([0, 1]).range([legendHeight, 0]);
+    const gradient = svg.append('defs').append('linearGradient')
+        .attr('id', 'quality-gradient')
+        .attr('x1', '0%').attr('y1', '100%')
+        .attr('x2', '0%').attr('y2', '0%');
+    d3.range(0, 1.01, 0.1).forEach(t => {
+        gradient.append('stop')
+            .attr('offset', (t * 100) + '%')
+            .attr('stop-color', color(t));
+    });
 
-            // Clear any pending timeout
-            if (countryHoverTimeout) {
-                clearTimeout(countryHoverTimeout);
-                countryHoverTimeout = null;
-            }
+    svg.append('rect')
+        .attr('x', legendX)
+        .attr('y', margin.top)
+        .attr('width', 14)
+        .attr('height', legendHeight)
+        .style('fill', 'url(#quality-gradient)');
 
-            // Hide other countries, show only this one
-            countryArcs.selectAll('path')
-                .transition()
-                .duration(250)
-                .attr('opacity', cd => cd.data.country === country ? 1 : 0.1)
-                .attr('stroke-width', cd => cd.data.country === country ? 3 : 2);
+    svg.append('g')
+        .attr('transform', 'translate(' + (legendX + 14) + ',' + margin.top + ')')
+        .call(d3.axisRight(legendScale).ticks(5).tickFormat(d3.format('.0%')))
+        .selectAll('text')
+        .style('font-size', '10px')
+        .style('fill', '#F1F5F9');
+}
 
-            countryArcs.selectAll('text')
-                .transition()
-                .duration(250)
-                .style('opacity', cd => cd.data.country === country ? 1 : 0.15);
+function updateQualitySummary() {
+    const parts = [];
+    if (dataQuality) {
+        const excluded = Object.keys(dataQuality.excluded)
+            .map(reason => dataQuality.excluded[reason].toLocaleString() + ' ' + (excludedReasonLabels[reason] || reason));
+        const dropped = d3.sum(Object.values(dataQuality.excluded));
+        parts.push(dataQuality.rows.toLocaleString() + ' rows read, ' +
+            (dataQuality.rows - dropped).toLocaleString() + ' kept' +
+            (excluded.length > 0 ? ', ' + dropped.toLocaleString() + ' excluded (' + excluded.join(', ') + ')' : ''));
+    }
+    if (viewData) {
+        const unlocated = viewData.quality.overall.missing.coordinates;
+        parts.push(unlocated.toLocaleString() + ' of ' + viewData.quality.overall.total.toLocaleString() +
+            ' filtered incidents have no coordinates' +
+            (unlocated > 0 && !appState.filters.includeUnlocated ? ' and are left out of the views' : ''));
+    }
+    document.getElementById('qualitySummary').textContent = parts.join(' · ');
+}
 
-            // Show attack types for this country
-            showAttackTypesFocused(g, country, continent, baseRadius, centerValue, centerLabel, deathValue, deathLabel);
+// ==== COMPARISON ====
+// Compare pins the current filters and frame years as baseline A; the filters set after
+// that are B and keep driving the rest of the dashboard. The panel pairs A and B's stats,
+// attack-type mix and region-by-year heatmap, or shows the heatmap as B minus A.
 
-            // Show tooltip
-            const content = `
-                <strong style="font-size: 14px;">${country}</strong><br/>
-                <span style="color: #94A3B8;">${continent}</span><br/><br/>
-                <span style="color: #ff7f00;">Incidents: ${d.data.count.toLocaleString()}</span><br/>
-                <span style="color: #e41a1c;">Deaths: ${d.data.killed.toLocaleString()}</span><br/>
-                <span style="color: #4daf4a;">Wounded: ${d.data.wounded.toLocaleString()}</span>
-            `;
-            showTip(event, d.data, content);
-        })
-        .on('mouseleave', function (event, d) {
-            // Add generous delay to allow moving to attack layer
-            countryHoverTimeout = setTimeout(() => {
-                const attackLayer = g.select('.attack-layer').node();
-                if (!attackLayer || !attackLayer.contains(event.relatedTarget)) {
-                    // Restore all countries
-                    countryArcs.selectAll('path')
-                        .transition()
-                        .duration(300)
-                        .attr('opacity', 0.95)
-                        .attr('stroke-width', 2);
+const comparisonColors = { baseline: '#377eb8', current: '#ff7f00' };
 
-                    countryArcs.selectAll('text')
-                        .transition()
-                        .duration(300)
-                        .style('opacity', 1);
+const comparisonStatLabels = [
+    ['incidents', 'Incidents'],
+    ['casualties', 'Casualties'],
+    ['groups', 'Active groups'],
+    ['regions', 'Regions']
+];
 
-                    g.selectAll('.attack-layer')
-                        .transition()
-                        .duration(250)
-                        .style('opacity', 0)
-                        .remove();
+function setupComparisonControls() {
+    document.getElementById('compareToggle').addEventListener('click', () => {
+        dispatch({ comparison: appState.comparison ? null : pinnedFilters() });
+    });
+    document.getElementById('comparisonClose').addEventListener('click', () => dispatch({ comparison: null }));
+    document.getElementById('comparisonRepin').addEventListener('click', () => dispatch({ comparison: pinnedFilters() }));
+    document.getElementById('comparisonSwap').addEventListener('click', swapComparison);
+    document.getElementById('comparisonHeatmap').addEventListener('change', () => {
+        recordViewState();
+        updateComparisonHeatmap();
+    });
+}
 
-                    // Restore country-level stats
-                    const totalCount = d3.sum(countryData, d => d.count);
-                    const totalKilled = d3.sum(countryData, d => d.killed);
-                    centerValue.text(totalCount.toLocaleString());
-                    centerLabel.text(`${continent} Incidents`);
-                    deathValue.text(totalKilled.toLocaleString());
-                    deathLabel.text('Deaths');
-                }
-            }, 400);
-        });
+// The current filters and frame years, as a baseline
+function pinnedFilters() {
+    const years = frameRange();
+    return { startYear: years.start, endYear: years.end, filters: { ...appState.filters } };
+}
 
-    // Update center stats for continent
-    const totalCount = d3.sum(countryData, d => d.count);
-    const totalKilled = d3.sum(countryData, d => d.killed);
-    centerValue.transition().duration(300).tween("text", function () {
-        const i = d3.interpolate(parseInt(this.textContent.replace(/,/g, '')), totalCount);
-        return function (t) { this.textContent = Math.round(i(t)).toLocaleString(); };
-    });
-    centerLabel.transition().duration(300).text(`${continent} Incidents`);
-    deathValue.transition().duration(300).tween("text", function () {
-        const i = d3.interpolate(parseInt(this.textContent.replace(/,/g, '')), totalKilled);
-        return function (t) { this.textContent = Math.round(i(t)).toLocaleString(); };
+// Apply the baseline to the dashboard and pin what it showed until now
+function swapComparison() {
+    const baseline = appState.comparison;
+    stopAnim();
+    return dispatch({
+        comparison: pinnedFilters(),
+        startYear: baseline.startYear,
+        endYear: baseline.endYear,
+        currentYear: baseline.endYear,
+        timelineFrame: false,
+        filters: validFilters(baseline.filters)
     });
 }
 
-// Focused attack types view
-function showAttackTypesFocused(g, country, continent, baseRadius, centerValue, centerLabel, deathValue, deathLabel) {
-    // Remove existing attack layer
-    g.selectAll('.attack-layer').remove();
+function syncComparisonControls(state, change) {
+    if (!state.comparison && !('comparison' in change)) return;
 
-    const attackData = aggregateDataByAttackType(filteredData, country);
+    const panel = document.querySelector('.comparison-panel');
+    const wasHidden = panel.hidden;
+    panel.hidden = !state.comparison;
+    document.getElementById('compareToggle').classList.toggle('is-active', !!state.comparison);
+    if (!state.comparison) return;
 
-    if (attackData.length === 0) return;
+    const years = frameRange();
+    document.getElementById('comparisonBaseline').textContent = describeFilters(state.comparison);
+    document.getElementById('comparisonCurrent').textContent =
+        describeFilters({ startYear: years.start, endYear: years.end, filters: state.filters });
+    if (wasHidden && isInitialized) panel.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+}
 
-    const pie = d3.pie()
-        .value(d => d.count)
-        .sort(null)
-        .padAngle(0.02);
+// "1990–1999 · South Asia · Not 2 attack types · Suicide Attacks"
+function describeFilters(set) {
+    const parts = [set.startYear === set.endYear ? String(set.startYear) : set.startYear + '–' + set.endYear];
+    Object.keys(facetFilters).forEach(key => {
+        if (set.filters[key].values.length > 0) parts.push(facetButtonLabel(key, set.filters));
+    });
+    Object.keys(flagFilterIds).forEach(field => {
+        const value = set.filters[field];
+        if (value === 'all') return;
+        const option = document.querySelector('#' + flagFilterIds[field] + ' option[value="' + value + '"]');
+        parts.push(option ? option.textContent : field + ': ' + value);
+    });
+    if (set.filters.includeUnlocated) parts.push('incl. without coordinates');
+    return parts.join(' · ');
+}
 
-    const attackArc = d3.arc()
-        .innerRadius(baseRadius * 1.23)
-        .outerRadius(baseRadius * 1.5);
+function updateComparison() {
+    const comparison = viewData && viewData.comparison;
+    if (!comparison) {
+        d3.select('#comparisonStats').selectAll('*').remove();
+        d3.select('#comparisonSummary').text('');
+        d3.selectAll('#comparison-attack, #comparison-heatmap').selectAll('*').remove();
+        return;
+    }
 
-    const attackLayer = g.append('g')
-        .attr('class', 'attack-layer')
-        .style('pointer-events', 'all'); // Ensure hover works
+    updateComparisonStats(comparison);
+    updateComparisonAttackMix(comparison);
+    updateComparisonHeatmap();
+}
 
-    const attackArcs = attackLayer.selectAll('.attack-arc')
-        .data(pie(attackData))
-        .enter().append('g')
-        .attr('class', 'attack-arc');
+function updateComparisonStats({ baseline, current }) {
+    const rows = [['', 'A', 'B', 'Change']];
+    comparisonStatLabels.forEach(([field, label]) => {
+        rows.push([label, baseline.stats[field], current.stats[field], current.stats[field] - baseline.stats[field]]);
+    });
 
-    attackArcs.append('path')
-        .attr('d', attackArc)
-        .attr('fill', d => {
-            const colors = attackTypeGradients[d.data.attackType] || ['#64748B', '#94A3B8'];
-            return colors[0];
-        })
-        .attr('opacity', 0)
-        .attr('stroke', '#0B1120')
-        .attr('stroke-width', 2)
-        .style('cursor', 'pointer')
-        .style('pointer-events', 'all')
-        .transition()
-        .duration(350)
-        .attr('opacity', 0.95);
+    const stats = d3.select('#comparisonStats');
+    stats.selectAll('*').remove();
+    rows.forEach((row, i) => {
+        row.forEach((value, j) => {
+            const cell = stats.append('span').classed('comparison-stats-header', i === 0 || j === 0);
+            if (i === 0 || j === 0) {
+                cell.text(value);
+            } else if (j === 3) {
+                cell.text(formatChange(value, row[1]))
+                    .classed('is-up', value > 0)
+                    .classed('is-down', value < 0);
+            } else {
+                cell.text(value.toLocaleString());
+            }
+        });
+    });
 
-    // Add labels in the empty space outside - increased spacing
-    attackArcs.append('text')
-        .attr('transform', d => {
-            const outerLabelArc = d3.arc()
-                .innerRadius(baseRadius * 1.7)
-                .outerRadius(baseRadius * 1.7);
-            return `translate(${outerLabelArc.centroid(d)})`;
+    d3.select('#comparisonSummary').text(comparisonSummaryText(baseline, current));
+}
+
+// "+120 (+12.5%)"; no percentage when A is zero
+function formatChange(delta, base) {
+    return d3.format('+,')(delta) + (base > 0 ? ' (' + d3.format('+.1%')(delta / base) + ')' : '');
+}
+
+// Incidents and casualties of B relative to A, then the three biggest shifts in attack-type mix
+function comparisonSummaryText(baseline, current) {
+    const relative = (field, noun) => {
+        const a = baseline.stats[field];
+        const b = current.stats[field];
+        if (a === 0) return b.toLocaleString() + ' ' + noun + ' (none in A)';
+        if (a === b) return 'the same number of ' + noun;
+        return d3.format('.0%')(Math.abs(b - a) / a) + (b > a ? ' more ' : ' fewer ') + noun +
+            ' (' + b.toLocaleString() + ' vs ' + a.toLocaleString() + ')';
+    };
+
+    const shifts = attackMix(baseline, current)
+        .filter(d => d.shift !== 0)
+        .sort((a, b) => Math.abs(b.shift) - Math.abs(a.shift))
+        .slice(0, 3)
+        .map(d => d.name + ' ' + (d.shift > 0 ? '+' : '−') + Math.abs(d.shift * 100).toFixed(1) + ' pts');
+
+    return 'B has ' + relative('incidents', 'incidents') + ' and ' + relative('casualties', 'casualties') + '.' +
+        (shifts.length > 0 ? ' Attack mix: ' + shifts.join(', ') + '.' : '');
+}
+
+// Share of each set's incidents per attack type, for every type in either set
+function attackMix(baseline, current) {
+    const share = (set, name) => {
+        const entry = set.attackTypes.find(d => d.name === name);
+        return entry && set.stats.incidents > 0 ? entry.count / set.stats.incidents : 0;
+    };
+    const names = [...new Set(baseline.attackTypes.concat(current.attackTypes).map(d => d.name))];
+    return names.map(name => {
+        const a = share(baseline, name);
+        const b = share(current, name);
+        return { name: name, baseline: a, current: b, shift: b - a };
+    }).sort((x, y) => Math.max(y.baseline, y.current) - Math.max(x.baseline, x.current));
+}
+
+function updateComparisonAttackMix({ baseline, current }) {
+    const container = d3.select('#comparison-attack');
+    const width = container.node().getBoundingClientRect().width;
+    const height = container.node().getBoundingClientRect().height;
+    container.selectAll('*').remove();
+
+    const mix = attackMix(baseline, current);
+    if (mix.length === 0 || width === 0) return;
+
+    const margin = { top: 8, right: 48, bottom: 20, left: 170 };
+    const svg = container.append('svg')
+        .attr('width', width)
+        .attr('height', height);
+
+    const y = d3.scaleBand()
+        .domain(mix.map(d => d.name))
+        .range([margin.top, height - margin.bottom])
+        .padding(0.2);
+    const sets = d3.scaleBand()
+        .domain(['baseline', 'current'])
+        .range([0, y.bandwidth()])
+        .padding(0.1);
+    const x = d3.scaleLinear()
+        .domain([0, d3.max(mix, d => Math.max(d.baseline, d.current)) || 1])
+        .range([margin.left, width - margin.right]);
+
+    const rows = svg.append('g')
+        .selectAll('g')
+        .data(mix)
+        .join('g')
+        .attr('transform', d => 'translate(0,' + y(d.name) + ')')
+        .on('mouseover', (event, d) => showTip(event, d, `
+            <strong style="font-size: 14px;">${d.name}</strong><br/>
+            <span style="color: ${comparisonColors.baseline};">A: ${d3.format('.1%')(d.baseline)} of incidents</span><br/>
+            <span style="color: ${comparisonColors.current};">B: ${d3.format('.1%')(d.current)} of incidents</span>
+        `))
+        .on('mouseout', hideTip);
+
+    rows.selectAll('rect')
+        .data(d => ['baseline', 'current'].map(set => ({ set: set, value: d[set] })))
+        .join('rect')
+        .attr('x', margin.left)
+        .attr('y', d => sets(d.set))
+        .attr('width', d => x(d.value) - margin.left)
+        .attr('height', sets.bandwidth())
+        .attr('fill', d => comparisonColors[d.set]);
+
+    rows.append('text')
+        .attr('x', d => x(Math.max(d.baseline, d.current)) + 4)
+        .attr('y', y.bandwidth() / 2)
+        .attr('dy', '0.35em')
+        .style('font-size', '10px')
+        .style('fill', d => d.shift > 0 ? comparisonColors.current : '#94A3B8')
+        .text(d => (d.shift > 0 ? '+' : d.shift < 0 ? '−' : '') + Math.abs(d.shift * 100).toFixed(1));
+
+    svg.append('g')
+        .attr('transform', 'translate(' + margin.left + ',0)')
+        .call(d3.axisLeft(y).tickSize(0))
+        .selectAll('text')
+        .style('font-size', '10px')
+        .style('fill', '#F1F5F9');
+
+    svg.append('g')
+        .attr('transform', 'translate(0,' + (height - margin.bottom) + ')')
+        .call(d3.axisBottom(x).ticks(4).tickFormat(d3.format('.0%')))
+        .selectAll('text')
+        .style('font-size', '10px')
+        .style('fill', '#F1F5F9');
+}
+
+function updateComparisonHeatmap() {
+    const container = d3.select('#comparison-heatmap');
+    const width = container.node().getBoundingClientRect().width;
+    const height = container.node().getBoundingClientRect().height;
+    container.selectAll('*').remove();
+
+    const comparison = viewData && viewData.comparison;
+    if (!comparison || width === 0) return;
+
+    const { baseline, current } = comparison;
+    const regions = [...new Set(baseline.heatmap.rows.concat(current.heatmap.rows))].sort();
+    const svg = container.append('svg')
+        .attr('width', width)
+        .attr('height', height);
+
+    if (document.getElementById('comparisonHeatmap').value === 'difference') {
+        drawComparisonGrid(svg, comparisonDifference(baseline, current, regions), regions,
+            { top: 10, height: height - 10, width: width, diverging: true });
+        return;
+    }
+
+    // One color scale for both grids so equal colors mean equal counts
+    const counts = baseline.heatmap.cells.concat(current.heatmap.cells).map(d => d.count);
+    const colorScale = heatmapColorScale(counts, 'linear', false);
+    const half = height / 2;
+    [['baseline', 'A', 0], ['current', 'B', half]].forEach(([set, label, top]) => {
+        const grid = comparisonGrid(comparison[set], regions);
+        drawComparisonGrid(svg, grid, regions, { top: top + 10, height: half - 10, width: width, colorScale: colorScale, label: label });
+    });
+}
+
+// Cells for every region and year of a set; years without incidents count zero
+function comparisonGrid(set, regions) {
+    const counts = new Map(set.heatmap.cells.map(d => [d.row + '|' + d.column, d.count]));
+    const cells = [];
+    regions.forEach(region => {
+        set.heatmap.columns.forEach(year => {
+            const count = counts.get(region + '|' + year) || 0;
+            cells.push({ row: region, column: year, value: count, tip: region + ', ' + year + ': ' + count.toLocaleString() + ' incidents' });
+        });
+    });
+    return { columns: set.heatmap.columns, cells: cells };
+}
+
+// B minus A per region and year. Year ranges of different lengths or starts line up
+// by position, so 1990–1999 against 2000–2009 compares 1990 with 2000 and so on.
+function comparisonDifference(baseline, current, regions) {
+    const counts = set => new Map(set.heatmap.cells.map(d => [d.row + '|' + d.column, d.count]));
+    const a = counts(baseline);
+    const b = counts(current);
+    const length = Math.min(baseline.heatmap.columns.length, current.heatmap.columns.length);
+    const sameYears = baseline.startYear === current.startYear;
+
+    const columns = current.heatmap.columns.slice(0, length);
+    const cells = [];
+    regions.forEach(region => {
+        columns.forEach((year, i) => {
+            const baselineYear = baseline.heatmap.columns[i];
+            const before = a.get(region + '|' + baselineYear) || 0;
+            const after = b.get(region + '|' + year) || 0;
+            const years = sameYears ? year : baselineYear + ' → ' + year;
+            cells.push({
+                row: region,
+                column: year,
+                value: after - before,
+                tip: region + ', ' + years + ': ' + before.toLocaleString() + ' → ' + after.toLocaleString() + ' incidents'
+            });
+        });
+    });
+    return { columns: columns, cells: cells };
+}
+
+function drawComparisonGrid(svg, grid, regions, options) {
+    const margin = { left: 190, right: 10, bottom: 30 };
+    const colorScale = options.colorScale || heatmapColorScale(grid.cells.map(d => d.value), 'linear', options.diverging);
+    const g = svg.append('g');
+
+    const x = d3.scaleBand()
+        .domain(grid.columns)
+        .range([margin.left, options.width - margin.right])
+        .padding(0.05);
+    const y = d3.scaleBand()
+        .domain(regions)
+        .range([options.top, options.top + options.height - margin.bottom])
+        .padding(0.05);
+
+    g.selectAll('rect')
+        .data(grid.cells)
+        .join('rect')
+        .attr('class', 'heatmap-cell')
+        .attr('x', d => x(d.column))
+        .attr('y', d => y(d.row))
+        .attr('width', x.bandwidth())
+        .attr('height', y.bandwidth())
+        .attr('fill', d => !options.diverging && d.value <= 0 ? '#1F2937' : colorScale(d.value))
+        .on('mouseover', (event, d) => showTip(event, d, d.tip))
+        .on('mouseout', hideTip);
+
+    const every = Math.max(1, Math.ceil(grid.columns.length / Math.max(1, (options.width - margin.left) / 40)));
+    g.append('g')
+        .attr('transform', 'translate(0,' + (options.top + options.height - margin.bottom) + ')')
+        .call(d3.axisBottom(x).tickValues(grid.columns.filter((d, i) => i % every === 0)))
+        .selectAll('text')
+        .style('font-size', '10px')
+        .style('fill', '#F1F5F9');
+
+    g.append('g')
+        .attr('transform', 'translate(' + margin.left + ',0)')
+        .call(d3.axisLeft(y).tickSize(0))
+        .selectAll('text')
+        .style('font-size', '10px')
+        .style('fill', '#F1F5F9');
+
+    if (options.label) {
+        g.append('text')
+            .attr('x', 4)
+            .attr('y', options.top + 10)
+            .style('font-size', '12px')
+            .style('font-weight', 700)
+            .style('fill', options.label === 'A' ? comparisonColors.baseline : comparisonColors.current)
+            .text(options.label);
+    }
+}
+
+// ==== DYNAMIC HIERARCHICAL PIE CHART WITH HOVER ZOOM ====
+function initAttackChart() {
+    updateAttackChart();
+}
+
+function updateAttackChart() {
+    const container = d3.select('#attack-chart-container');
+    container.selectAll('*').remove();
+
+    if (!viewData) return;
+
+    const bbox = container.node().getBoundingClientRect();
+    const width = bbox.width;
+    const height = bbox.height;
+    const centerX = width / 2;
+    const centerY = height / 2;
+    // Calculate radius to fit all layers (base + country + attack type layers)
+    // Attack type layer goes to radius * 1.5, plus labels at 1.7
+    // Increased radius for better spacing and visibility
+    const radius = Math.min(width, height) / 2 / 2.0;
+
+    const svg = container.append('svg')
+        .attr('width', width)
+        .attr('height', height);
+
+    const g = svg.append('g')
+        .attr('transform', `translate(${centerX},${centerY})`);
+
+    // Continent -> country -> attack type hierarchy from the aggregation engine
+    const continentData = viewData.continents;
+
+    // Create pie layout
+    const pie = d3.pie()
+        .value(d => d.count)
+        .sort(null)
+        .padAngle(0.02);
+
+    const baseArc = d3.arc()
+        .innerRadius(radius * 0.5)
+        .outerRadius(radius * 0.85);
+
+    // Create continent slices
+    const continentArcs = g.selectAll('.continent-arc')
+        .data(pie(continentData))
+        .enter().append('g')
+        .attr('class', 'continent-arc');
+
+    // Create gradient definitions
+    const defs = svg.append('defs');
+    continentData.forEach((d, i) => {
+        const gradient = defs.append('radialGradient')
+            .attr('id', `continent-gradient-${i}`)
+            .attr('cx', '50%')
+            .attr('cy', '50%');
+
+        gradient.append('stop')
+            .attr('offset', '0%')
+            .attr('stop-color', d3.color(continentColors[d.continent]).brighter(0.3));
+
+        gradient.append('stop')
+            .attr('offset', '100%')
+            .attr('stop-color', continentColors[d.continent]);
+    });
+
+    // Draw continent paths
+    continentArcs.append('path')
+        .attr('d', baseArc)
+        .attr('fill', (d, i) => `url(#continent-gradient-${i})`)
+        .attr('opacity', 0.9)
+        .attr('stroke', '#0B1120')
+        .attr('stroke-width', 3)
+        .style('cursor', 'pointer')
+        .style('filter', 'drop-shadow(0 4px 6px rgba(0, 0, 0, 0.3))')
+        .classed('is-dimmed', d => appState.selections.length > 0 && d.data.selected === 0)
+        .classed('is-selected', d => isSelectionActive({ continent: d.data.continent }))
+        .each(function (d) { this._current = d; });
+
+    // Add continent labels with smart positioning
+    continentArcs.append('text')
+        .attr('transform', d => {
+            const angle = d.endAngle - d.startAngle;
+            // For small slices, position label outside
+            if (angle < 0.25) {
+                const outerArc = d3.arc()
+                    .innerRadius(radius * 0.95)
+                    .outerRadius(radius * 0.95);
+                const pos = outerArc.centroid(d);
+                const midAngle = d.startAngle + angle / 2;
+                // Push label further out for very small slices
+                pos[0] = pos[0] * 1.15;
+                pos[1] = pos[1] * 1.15;
+                return `translate(${pos})`;
+            }
+            return `translate(${baseArc.centroid(d)})`;
         })
         .attr('text-anchor', d => {
-            const midAngle = d.startAngle + (d.endAngle - d.startAngle) / 2;
-            return midAngle < Math.PI ? 'start' : 'end';
+            const angle = d.endAngle - d.startAngle;
+            if (angle < 0.25) {
+                const midAngle = d.startAngle + (d.endAngle - d.startAngle) / 2;
+                return midAngle < Math.PI ? 'start' : 'end';
+            }
+            return 'middle';
+        })
+        .attr('dy', d => {
+            const angle = d.endAngle - d.startAngle;
+            // Adjust vertical positioning for small slices
+            if (angle < 0.25) {
+                return '0.35em';
+            }
+            return '0.35em';
         })
         .style('fill', '#F1F5F9')
-        .style('font-size', '10px')
-        .style('font-weight', '600')
+        .style('font-size', d => {
+            const angle = d.endAngle - d.startAngle;
+            return angle < 0.15 ? '9px' : '12px'; // Adjusted for smaller slices
+        })
+        .style('font-weight', '700')
         .style('pointer-events', 'none')
-        .style('text-shadow', '0 2px 4px rgba(0, 0, 0, 0.9)')
-        .style('opacity', 0)
+        .style('text-shadow', '0 2px 4px rgba(0, 0, 0, 0.8)')
         .text(d => {
             const angle = d.endAngle - d.startAngle;
-            // Abbreviate long attack type names
-            const name = d.data.attackType;
-            if (angle < 0.3) {
-                // Very small slice - abbreviate
-                return name.substring(0, 6) + '...';
+            // For very small slices, show abbreviated name
+            if (angle < 0.15) {
+                return d.data.continent.substring(0, 4);
             }
-            return name.length > 15 ? name.substring(0, 12) + '...' : name;
-        })
-        .transition()
-        .duration(400)
-        .style('opacity', d => {
-            const angle = d.endAngle - d.startAngle;
-            return angle > 0.15 ? 1 : 0; // Hide very small labels
+            return d.data.continent.split(' ')[0];
+        });
+
+    // Center statistics
+    const centerGroup = g.append('g').attr('class', 'center-stats');
+
+    const totalIncidents = d3.sum(continentData, d => d.count);
+    const totalDeaths = d3.sum(continentData, d => d.killed);
+
+    centerGroup.append('circle')
+        .attr('r', radius * 0.45)
+        .attr('fill', 'rgba(26, 26, 26, 0.95)')
+        .attr('stroke', '#377eb8')
+        .attr('stroke-width', 2)
+        .style('filter', 'drop-shadow(0 4px 8px rgba(0, 0, 0, 0.5))')
+        .style('cursor', pieChartState.selectedContinent ? 'pointer' : 'default')
+        .on('click', function () {
+            // Clicking the center clears a pinned drill-down
+            if (!pieChartState.selectedContinent) return;
+            pieChartState = { currentView: 'continent', selectedContinent: null, selectedCountry: null };
+            recordViewState();
+            updateAttackChart();
         });
 
-    // Attack type hover with longer stability
-    let attackHoverTimeout = null;
+    const centerValue = centerGroup.append('text')
+        .attr('text-anchor', 'middle')
+        .attr('dy', '-2.2em')
+        .style('fill', '#ff7f00')
+        .style('font-size', '24px')
+        .style('font-weight', '800')
+        .style('pointer-events', 'none')
+        .text(totalIncidents.toLocaleString());
+
+    const centerLabel = centerGroup.append('text')
+        .attr('text-anchor', 'middle')
+        .attr('dy', '-0.8em')
+        .style('fill', '#F1F5F9')
+        .style('font-size', '10px')
+        .style('font-weight', '500')
+        .style('pointer-events', 'none')
+        .text('Total Incidents');
+
+    const deathValue = centerGroup.append('text')
+        .attr('text-anchor', 'middle')
+        .attr('dy', '0.5em')
+        .style('fill', '#e41a1c')
+        .style('font-size', '20px')
+        .style('font-weight', '700')
+        .style('pointer-events', 'none')
+        .text(totalDeaths.toLocaleString());
+
+    const deathLabel = centerGroup.append('text')
+        .attr('text-anchor', 'middle')
+        .attr('dy', '2.5em')
+        .style('fill', '#CBD5E1')
+        .style('font-size', '10px')
+        .style('font-weight', '500')
+        .style('pointer-events', 'none')
+        .text('Deaths');
+
+    // Center Text (Dynamic) - removed to prevent overlap, info is in header
+
+    // Hover interactions for focused exploration
+    let currentHoverTimeout = null;
+
+    function focusContinent(d) {
+        const continent = d.data.continent;
+
+        // Hide other continents completely
+        continentArcs.selectAll('path')
+            .classed('pinned', cd => cd.data.continent === pieChartState.selectedContinent)
+            .transition()
+            .duration(300)
+            .attr('opacity', cd => cd.data.continent === continent ? 1 : 0.08);
+
+        continentArcs.selectAll('text')
+            .transition()
+            .duration(300)
+            .style('opacity', cd => cd.data.continent === continent ? 1 : 0.2);
+
+        // Show countries for this continent with better positioning
+        showCountriesFocused(g, continent, radius, centerValue, centerLabel, deathValue, deathLabel, d);
+    }
+
+    // Re-open the drill-down pinned by a click (or restored from the URL)
+    function showPinnedDrill() {
+        const pinned = continentArcs.filter(cd => cd.data.continent === pieChartState.selectedContinent);
+        if (pinned.empty()) return false;
+        focusContinent(pinned.datum());
+        return true;
+    }
+
+    continentArcs
+        .on('mouseenter', function (event, d) {
+            const continent = d.data.continent;
+
+            // Clear any pending timeout
+            if (currentHoverTimeout) {
+                clearTimeout(currentHoverTimeout);
+                currentHoverTimeout = null;
+            }
+
+            focusContinent(d);
+
+            // Show tooltip
+            const content = `
+                <strong style="font-size: 14px;">${continent}</strong><br/>
+                <span style="color: #ff7f00;">Incidents: ${d.data.count.toLocaleString()}</span><br/>
+                <span style="color: #e41a1c;">Deaths: ${d.data.killed.toLocaleString()}</span><br/>
+                <span style="color: #4daf4a;">Wounded: ${d.data.wounded.toLocaleString()}</span>
+            `;
+            showTip(event, d.data, content);
+        })
+        .on('mouseleave', function (event, d) {
+            // Add generous delay to allow moving to country/attack layers
+            currentHoverTimeout = setTimeout(() => {
+                const relatedTarget = event.relatedTarget;
+                const countryLayer = g.select('.country-layer').node();
+                const attackLayer = g.select('.attack-layer').node();
+
+                if (!countryLayer ||
+                    (!relatedTarget ||
+                        (!countryLayer.contains(relatedTarget) &&
+                            !(attackLayer && attackLayer.contains(relatedTarget))))) {
+                    hideTip();
+
+                    // Fall back to the pinned drill-down rather than the overview
+                    if (showPinnedDrill()) return;
+
+                    // Restore all continents
+                    continentArcs.selectAll('path')
+                        .transition()
+                        .duration(400)
+                        .attr('opacity', 0.9);
+
+                    continentArcs.selectAll('text')
+                        .transition()
+                        .duration(400)
+                        .style('opacity', 1);
+
+                    // Remove layers
+                    g.selectAll('.country-layer, .attack-layer')
+                        .transition()
+                        .duration(300)
+                        .style('opacity', 0)
+                        .remove();
+
+                    // Restore center stats
+                    centerValue.text(totalIncidents.toLocaleString());
+                    centerLabel.text('Total Incidents');
+                    deathValue.text(totalDeaths.toLocaleString());
+                    deathLabel.text('Deaths');
+                }
+            }, 400); // Generous delay for easier navigation
+        })
+        .on('click', function (event, d) {
+            togglePieDrill(d.data.continent, null);
+            toggleSelection({ continent: d.data.continent }, d.data.continent);
+        });
+
+    showPinnedDrill();
+}
+
+// Clicking an arc pins its drill-down in pieChartState; clicking it again unpins
+function togglePieDrill(continent, country) {
+    if (country) {
+        const pinned = pieChartState.selectedCountry === country;
+        pieChartState = {
+            currentView: pinned ? 'country' : 'attack-type',
+            selectedContinent: continent,
+            selectedCountry: pinned ? null : country
+        };
+    } else {
+        const pinned = pieChartState.selectedContinent === continent;
+        pieChartState = {
+            currentView: pinned ? 'continent' : 'country',
+            selectedContinent: pinned ? null : continent,
+            selectedCountry: null
+        };
+    }
+
+    d3.select('#attack-chart-container .center-stats circle')
+        .style('cursor', pieChartState.selectedContinent ? 'pointer' : 'default');
+    recordViewState();
+}
+
+// New focused interaction function
+function showCountriesFocused(g, continent, baseRadius, centerValue, centerLabel, deathValue, deathLabel, continentArcData) {
+    // Remove existing country/attack layers
+    g.selectAll('.country-layer, .attack-layer').remove();
+
+    const countryData = continentArcData.data.countries; // Top 10 countries
+
+    if (countryData.length === 0) return;
+
+    const pie = d3.pie()
+        .value(d => d.count)
+        .sort(null)
+        .padAngle(0.02);
+
+    const countryArc = d3.arc()
+        .innerRadius(baseRadius * 0.88)
+        .outerRadius(baseRadius * 1.2);
+
+    const countryLayer = g.append('g').attr('class', 'country-layer');
+
+    // Setup color scale for countries
+    countryColorScale.domain([0, countryData.length - 1]);
+
+    const countryArcs = countryLayer.selectAll('.country-arc')
+        .data(pie(countryData))
+        .enter().append('g')
+        .attr('class', 'country-arc');
+
+    countryArcs.append('path')
+        .attr('d', countryArc)
+        .attr('fill', (d, i) => d3.interpolateViridis(i / (countryData.length - 1)))
+        .attr('opacity', 0)
+        .attr('stroke', '#0B1120')
+        .attr('stroke-width', 2)
+        .style('cursor', 'pointer')
+        .style('pointer-events', 'all')
+        .classed('is-dimmed', d => appState.selections.length > 0 && d.data.selected === 0)
+        .classed('is-selected', d => isSelectionActive({ country: d.data.country }))
+        .transition()
+        .duration(350)
+        .attr('opacity', 0.95);
+
+    // Better label positioning using the empty space - increased spacing
+    countryArcs.append('text')
+        .attr('transform', d => {
+            const angle = d.endAngle - d.startAngle;
+            // Position outside for better visibility
+            const outerArc = d3.arc()
+                .innerRadius(baseRadius * 1.35)
+                .outerRadius(baseRadius * 1.35);
+            return `translate(${outerArc.centroid(d)})`;
+        })
+        .attr('text-anchor', d => {
+            const midAngle = d.startAngle + (d.endAngle - d.startAngle) / 2;
+            return midAngle < Math.PI ? 'start' : 'end';
+        })
+        .style('fill', '#F1F5F9')
+        .style('font-size', d => {
+            const angle = d.endAngle - d.startAngle;
+            return angle > 0.2 ? '11px' : '9px';
+        })
+        .style('font-weight', '600')
+        .style('pointer-events', 'none')
+        .style('text-shadow', '0 2px 4px rgba(0, 0, 0, 0.9)')
+        .style('opacity', 0)
+        .text(d => {
+            const angle = d.endAngle - d.startAngle;
+            const maxLength = angle > 0.3 ? 12 : (angle > 0.15 ? 8 : 6);
+            return d.data.country.substring(0, maxLength);
+        })
+        .transition()
+        .duration(400)
+        .style('opacity', 1);
+
+    // Hover interactions for countries - focused view
+    let countryHoverTimeout = null;
+
+    function focusCountry(d) {
+        const country = d.data.country;
+
+        // Hide other countries, show only this one
+        countryArcs.selectAll('path')
+            .classed('pinned', cd => cd.data.country === pieChartState.selectedCountry)
+            .transition()
+            .duration(250)
+            .attr('opacity', cd => cd.data.country === country ? 1 : 0.1)
+            .attr('stroke-width', cd => cd.data.country === country ? 3 : 2);
+
+        countryArcs.selectAll('text')
+            .transition()
+            .duration(250)
+            .style('opacity', cd => cd.data.country === country ? 1 : 0.15);
+
+        // Show attack types for this country
+        showAttackTypesFocused(g, d.data, continent, baseRadius, centerValue, centerLabel, deathValue, deathLabel);
+    }
+
+    function showPinnedCountry() {
+        const pinned = countryArcs.filter(cd => cd.data.country === pieChartState.selectedCountry);
+        if (pinned.empty()) return false;
+        focusCountry(pinned.datum());
+        return true;
+    }
+
+    countryArcs
+        .on('mouseenter', function (event, d) {
+            const country = d.data.country;
+
+            // Clear any pending timeout
+            if (countryHoverTimeout) {
+                clearTimeout(countryHoverTimeout);
+                countryHoverTimeout = null;
+            }
+
+            focusCountry(d);
+
+            // Show tooltip
+            const content = `
+                <strong style="font-size: 14px;">${country}</strong><br/>
+                <span style="color: #94A3B8;">${continent}</span><br/><br/>
+                <span style="color: #ff7f00;">Incidents: ${d.data.count.toLocaleString()}</span><br/>
+                <span style="color: #e41a1c;">Deaths: ${d.data.killed.toLocaleString()}</span><br/>
+                <span style="color: #4daf4a;">Wounded: ${d.data.wounded.toLocaleString()}</span>
+            `;
+            showTip(event, d.data, content);
+        })
+        .on('mouseleave', function (event, d) {
+            // Add generous delay to allow moving to attack layer
+            countryHoverTimeout = setTimeout(() => {
+                const attackLayer = g.select('.attack-layer').node();
+                if (!attackLayer || !attackLayer.contains(event.relatedTarget)) {
+                    if (showPinnedCountry()) return;
+
+                    // Restore all countries
+                    countryArcs.selectAll('path')
+                        .transition()
+                        .duration(300)
+                        .attr('opacity', 0.95)
+                        .attr('stroke-width', 2);
+
+                    countryArcs.selectAll('text')
+                        .transition()
+                        .duration(300)
+                        .style('opacity', 1);
+
+                    g.selectAll('.attack-layer')
+                        .transition()
+                        .duration(250)
+                        .style('opacity', 0)
+                        .remove();
+
+                    // Restore country-level stats
+                    const totalCount = d3.sum(countryData, d => d.count);
+                    const totalKilled = d3.sum(countryData, d => d.killed);
+                    centerValue.text(totalCount.toLocaleString());
+                    centerLabel.text(`${continent} Incidents`);
+                    deathValue.text(totalKilled.toLocaleString());
+                    deathLabel.text('Deaths');
+                }
+            }, 400);
+        })
+        .on('click', function (event, d) {
+            togglePieDrill(continent, d.data.country);
+            toggleSelection({ country: d.data.country }, d.data.country);
+        });
+
+    // Update center stats for continent
+    const totalCount = d3.sum(countryData, d => d.count);
+    const totalKilled = d3.sum(countryData, d => d.killed);
+    centerValue.transition().duration(300).tween("text", function () {
+        const i = d3.interpolate(parseInt(this.textContent.replace(/,/g, '')), totalCount);
+        return function (t) { this.textContent = Math.round(i(t)).toLocaleString(); };
+    });
+    centerLabel.transition().duration(300).text(`${continent} Incidents`);
+    deathValue.transition().duration(300).tween("text", function () {
+        const i = d3.interpolate(parseInt(this.textContent.replace(/,/g, '')), totalKilled);
+        return function (t) { this.textContent = Math.round(i(t)).toLocaleString(); };
+    });
+
+    showPinnedCountry();
+}
+
+// Focused attack types view
+function showAttackTypesFocused(g, countryEntry, continent, baseRadius, centerValue, centerLabel, deathValue, deathLabel) {
+    // Remove existing attack layer
+    g.selectAll('.attack-layer').remove();
+
+    const country = countryEntry.country;
+    const attackData = countryEntry.attackTypes;
+
+    if (attackData.length === 0) return;
+
+    // Incidents with several attack types are split between them, so values can be fractional
+    const formatValue = d3.format(',.1~f');
+
+    const pie = d3.pie()
+        .value(d => d.count)
+        .sort(null)
+        .padAngle(0.02);
+
+    const attackArc = d3.arc()
+        .innerRadius(baseRadius * 1.23)
+        .outerRadius(baseRadius * 1.5);
+
+    const attackLayer = g.append('g')
+        .attr('class', 'attack-layer')
+        .style('pointer-events', 'all'); // Ensure hover works
+
+    const attackArcs = attackLayer.selectAll('.attack-arc')
+        .data(pie(attackData))
+        .enter().append('g')
+        .attr('class', 'attack-arc');
+
+    attackArcs.append('path')
+        .attr('d', attackArc)
+        .attr('fill', d => {
+            const colors = attackTypeGradients[d.data.attackType] || ['#64748B', '#94A3B8'];
+            return colors[0];
+        })
+        .attr('opacity', 0)
+        .attr('stroke', '#0B1120')
+        .attr('stroke-width', 2)
+        .style('cursor', 'pointer')
+        .style('pointer-events', 'all')
+        .classed('is-dimmed', d => appState.selections.length > 0 && d.data.selected === 0)
+        .classed('is-selected', d => isSelectionActive({ country: country, attackType: d.data.attackType }))
+        .transition()
+        .duration(350)
+        .attr('opacity', 0.95);
+
+    // Add labels in the empty space outside - increased spacing
+    attackArcs.append('text')
+        .attr('transform', d => {
+            const outerLabelArc = d3.arc()
+                .innerRadius(baseRadius * 1.7)
+                .outerRadius(baseRadius * 1.7);
+            return `translate(${outerLabelArc.centroid(d)})`;
+        })
+        .attr('text-anchor', d => {
+            const midAngle = d.startAngle + (d.endAngle - d.startAngle) / 2;
+            return midAngle < Math.PI ? 'start' : 'end';
+        })
+        .style('fill', '#F1F5F9')
+        .style('font-size', '10px')
+        .style('font-weight', '600')
+        .style('pointer-events', 'none')
+        .style('text-shadow', '0 2px 4px rgba(0, 0, 0, 0.9)')
+        .style('opacity', 0)
+        .text(d => {
+            const angle = d.endAngle - d.startAngle;
+            // Abbreviate long attack type names
+            const name = d.data.attackType;
+            if (angle < 0.3) {
+                // Very small slice - abbreviate
+                return name.substring(0, 6) + '...';
+            }
+            return name.length > 15 ? name.substring(0, 12) + '...' : name;
+        })
+        .transition()
+        .duration(400)
+        .style('opacity', d => {
+            const angle = d.endAngle - d.startAngle;
+            return angle > 0.15 ? 1 : 0; // Hide very small labels
+        });
+
+    // Attack type hover with longer stability
+    let attackHoverTimeout = null;
+
+    attackArcs
+        .on('mouseenter', function (event, d) {
+            if (attackHoverTimeout) {
+                clearTimeout(attackHoverTimeout);
+                attackHoverTimeout = null;
+            }
+
+            d3.select(this).select('path')
+                .transition()
+                .duration(200)
+                .attr('opacity', 1)
+                .attr('stroke-width', 3)
+                .attr('stroke', '#ff7f00');
+
+            // Update center stats
+            centerValue.text(formatValue(d.data.count));
+            centerLabel.text(d.data.attackType);
+            deathValue.text(formatValue(d.data.killed));
+            deathLabel.text('Deaths');
+
+            // Show tooltip with locations
+            const cityList = d.data.topCities
+                .map(c => `${c.city} (${formatValue(c.count)})`)
+                .join(', ');
+
+            const content = `
+                <strong style="font-size: 14px;">${d.data.attackType}</strong><br/>
+                <span style="color: #94A3B8;">in ${country}, ${continent}</span><br/><br/>
+                <span style="color: #ff7f00;">Incidents: ${formatValue(d.data.count)}</span><br/>
+                <span style="color: #e41a1c;">Deaths: ${formatValue(d.data.killed)}</span><br/>
+                <span style="color: #4daf4a;">Wounded: ${formatValue(d.data.wounded)}</span><br/><br/>
+                <span style="font-size: 10px; color: #999999;">Top locations:</span><br/>
+                <span style="font-size: 11px; color: #94A3B8;">${cityList || 'Various'}</span>
+            `;
+            showTip(event, d.data, content);
+        })
+        .on('mouseleave', function (event, d) {
+            attackHoverTimeout = setTimeout(() => {
+                d3.select(this).select('path')
+                    .transition()
+                    .duration(200)
+                    .attr('opacity', 0.95)
+                    .attr('stroke-width', 2)
+                    .attr('stroke', '#0B1120');
+
+                // Restore country stats
+                const totalCount = d3.sum(attackData, d => d.count);
+                const totalKilled = d3.sum(attackData, d => d.killed);
+                centerValue.text(Math.round(totalCount).toLocaleString());
+                centerLabel.text(`${country} Incidents`);
+                deathValue.text(Math.round(totalKilled).toLocaleString());
+                deathLabel.text('Deaths');
+            }, 300);
+        })
+        .on('click', function (event, d) {
+            toggleSelection({ country: country, attackType: d.data.attackType }, d.data.attackType + ' in ' + country);
+        });
+
+    // Update center stats
+    const totalCount = d3.sum(attackData, d => d.count);
+    const totalKilled = d3.sum(attackData, d => d.killed);
+    centerValue.transition().duration(300).tween("text", function () {
+        const i = d3.interpolate(parseInt(this.textContent.replace(/,/g, '')), totalCount);
+        return function (t) { this.textContent = Math.round(i(t)).toLocaleString(); };
+    });
+    centerLabel.transition().duration(300).text(`${country} Incidents`);
+    deathValue.transition().duration(300).tween("text", function () {
+        const i = d3.interpolate(parseInt(this.textContent.replace(/,/g, '')), totalKilled);
+        return function (t) { this.textContent = Math.round(i(t)).toLocaleString(); };
+    });
+}
+
+// ==== UTILITY FUNCTIONS ====
+function drag(simulation) {
+    function dragstarted(event) {
+        if (!event.active) simulation.alphaTarget(0.3).restart();
+        event.subject.fx = event.subject.x;
+        event.subject.fy = event.subject.y;
+    }
+
+    function dragged(event) {
+        event.subject.fx = event.x;
+        event.subject.fy = event.y;
+    }
+
+    function dragended(event) {
+        if (!event.active) simulation.alphaTarget(0);
+        event.subject.fx = null;
+        event.subject.fy = null;
+    }
+
+    return d3.drag()
+        .on('start', dragstarted)
+        .on('drag', dragged)
+        .on('end', dragended);
+}
+
+// ==== CONTROLS ====
+function setupControls() {
+    function toggleAnimation() {
+        if (appState.isPlaying) {
+            stopAnim();
+        } else {
+            startAnim();
+        }
+    }
+
+    // Attach to button
+    document.getElementById('playAnimation').addEventListener('click', toggleAnimation);
+    setupTimelineControls();
+
+    // Start year range
+    document.getElementById('startYearRange').addEventListener('input', function () {
+        const start = +this.value;
+        dispatch({
+            startYear: start,
+            // Ensure end year is always >= start year
+            endYear: Math.max(appState.endYear, start),
+            // Update current year if it's out of range
+            currentYear: Math.max(appState.currentYear, start),
+            timelineFrame: false
+        });
+    });
+
+    // End year range
+    document.getElementById('endYearRange').addEventListener('input', function () {
+        const end = +this.value;
+        dispatch({
+            endYear: end,
+            // Ensure start year is always <= end year
+            startYear: Math.min(appState.startYear, end),
+            // Update current year if it's out of range
+            currentYear: Math.min(appState.currentYear, end),
+            timelineFrame: false
+        });
+    });
+
+    Object.keys(flagFilterIds).forEach(field => {
+        const select = document.getElementById(flagFilterIds[field]);
+        select.addEventListener('change', () => dispatch({ filters: { [field]: select.value } }));
+    });
+    document.getElementById('resetFilters').addEventListener('click', resetFilters);
+    document.getElementById('clearSelection').addEventListener('click', clearSelections);
+
+    document.querySelectorAll('input[name="metric"]').forEach(radio => {
+        radio.addEventListener('change', () => {
+            recordViewState();
+            updateHeatmap();
+        });
+    });
+
+    document.getElementById('choroplethMetric').addEventListener('change', () => {
+        recordViewState();
+        updateMap();
+    });
+
+    document.getElementById('mapLayerMode').addEventListener('change', () => {
+        syncDensityControls();
+        recordViewState();
+        updateMap();
+        // Switch between clustered and plain locations
+        refreshMapClusters();
+    });
+    document.getElementById('densityBandwidth').addEventListener('input', () => {
+        recordViewState();
+        updateDensityLayer();
+    });
+    document.getElementById('densityWeight').addEventListener('change', () => {
+        recordViewState();
+        updateDensityLayer();
+    });
+
+    // Back/forward step through recorded filter changes
+    window.addEventListener('popstate', restoreViewStateFromUrl);
+}
+
+function syncDensityControls() {
+    document.getElementById('densityControls').hidden = getMapLayerMode() !== 'density';
+}
+
+// Current filters and frame years, in the shape the aggregation engine expects
+function getFilterState() {
+    const years = frameRange();
+    return { startYear: years.start, endYear: years.end, ...appState.filters };
+}
+
+function defaultFilters() {
+    const filters = { includeUnlocated: false };
+    Object.keys(facetFilters).forEach(key => {
+        filters[key] = { values: [], exclude: false };
+    });
+    Object.keys(flagFilterIds).forEach(field => {
+        filters[field] = 'all';
+    });
+    return filters;
+}
+
+// Mirror the filter state in the controls
+function syncFilterControls(state, change) {
+    if (!change.filters) return;
+
+    syncFacetButtons();
+    if (facetMenuKey && facetMenuKey in change.filters) renderFacetMenu();
+    Object.keys(flagFilterIds).forEach(field => setSelectValue(flagFilterIds[field], state.filters[field]));
+    document.getElementById('includeUnlocated').checked = state.filters.includeUnlocated;
+}
+
+// Drop filter values the loaded dataset doesn't have (e.g. a country missing from a partial extract)
+function validFilters(filters) {
+    const valid = {};
+    Object.keys(filters).forEach(field => {
+        const value = filters[field];
+        if (field in facetFilters) {
+            const domain = new Set(facetDomains[field] || []);
+            const values = value.values.filter(v => domain.has(v));
+            valid[field] = { values: values, exclude: values.length > 0 && value.exclude === true };
+        } else if (field === 'includeUnlocated') {
+            valid.includeUnlocated = value === true;
+        } else {
+            const select = document.getElementById(flagFilterIds[field]);
+            valid[field] = hasOption(select, value) ? value : 'all';
+        }
+    });
+    return valid;
+}
+
+// ---- Group filter ----
+// The group profile follows the group filter while it includes exactly one group
+function getGroupFilter() {
+    const facet = appState.filters.group;
+    return facet.values.length === 1 && !facet.exclude ? facet.values[0] : 'all';
+}
+
+// ---- Faceted filters ----
+// Every faceted filter opens the same menu: type-ahead search over the values, checkboxes,
+// include/exclude and per-value counts that apply all the other filters
+const FACET_MENU_LIMIT = 200;
+let facetMenuKey = null;
+
+function setupFacetControls() {
+    const menu = document.getElementById('facetMenu');
+    const search = document.getElementById('facetSearch');
+
+    document.querySelectorAll('.facet-button').forEach(button => {
+        button.addEventListener('click', event => {
+            event.stopPropagation();
+            const key = button.getAttribute('data-facet');
+            if (facetMenuKey === key) {
+                hideFacetMenu();
+            } else {
+                showFacetMenu(button, key);
+            }
+        });
+    });
+
+    menu.addEventListener('click', event => event.stopPropagation());
+    search.addEventListener('input', renderFacetMenu);
+    // Enter picks the first match that isn't checked yet
+    search.addEventListener('keydown', event => {
+        if (event.key !== 'Enter') return;
+        const facet = appState.filters[facetMenuKey];
+        const match = facetMenuValues().find(value => !facet.values.includes(value));
+        if (match) setFacet(facetMenuKey, { values: [...facet.values, match], exclude: facet.exclude });
+    });
+
+    menu.querySelectorAll('[data-facet-mode]').forEach(button => {
+        button.addEventListener('click', () => {
+            const facet = appState.filters[facetMenuKey];
+            setFacet(facetMenuKey, { values: facet.values, exclude: button.getAttribute('data-facet-mode') === 'exclude' });
+        });
+    });
+    document.getElementById('facetClear').addEventListener('click', () => {
+        setFacet(facetMenuKey, { values: [], exclude: false });
+    });
+
+    document.addEventListener('click', hideFacetMenu);
+    document.addEventListener('keydown', event => {
+        if (event.key === 'Escape') hideFacetMenu();
+    });
+}
+
+function showFacetMenu(button, key) {
+    const menu = document.getElementById('facetMenu');
+    const rect = button.getBoundingClientRect();
+
+    hideExportMenu();
+    facetMenuKey = key;
+    document.getElementById('facetSearch').value = '';
+    menu.style.top = rect.bottom + 4 + 'px';
+    menu.style.left = Math.min(rect.left, window.innerWidth - 328) + 'px';
+    menu.hidden = false;
+    renderFacetMenu();
+    document.getElementById('facetSearch').focus();
+}
+
+function hideFacetMenu() {
+    facetMenuKey = null;
+    document.getElementById('facetMenu').hidden = true;
+}
+
+function setFacet(key, facet) {
+    return dispatch({ filters: { [key]: { values: facet.values, exclude: facet.values.length > 0 && facet.exclude } } });
+}
+
+// Values matching the search text: checked ones first, then by count and name
+function facetMenuValues() {
+    const facet = appState.filters[facetMenuKey];
+    const counts = viewData ? viewData.facets[facetMenuKey] : {};
+    const query = document.getElementById('facetSearch').value.trim().toLowerCase();
+
+    return (facetDomains[facetMenuKey] || [])
+        .filter(value => !query || value.toLowerCase().includes(query))
+        .sort((a, b) => (facet.values.includes(b) - facet.values.includes(a)) ||
+            ((counts[b] || 0) - (counts[a] || 0)) ||
+            a.localeCompare(b));
+}
+
+function renderFacetMenu() {
+    if (!facetMenuKey) return;
+
+    const facet = appState.filters[facetMenuKey];
+    const counts = viewData ? viewData.facets[facetMenuKey] : {};
+    const values = facetMenuValues();
+    const shown = values.slice(0, FACET_MENU_LIMIT);
+
+    d3.selectAll('#facetMenu [data-facet-mode]')
+        .classed('is-active', function () {
+            return (this.getAttribute('data-facet-mode') === 'exclude') === facet.exclude;
+        });
+
+    const options = d3.select('#facetOptions')
+        .classed('is-excluding', facet.exclude)
+        .selectAll('label.facet-option')
+        .data(shown, d => d)
+        .join(enter => {
+            const option = enter.append('label').attr('class', 'facet-option');
+            option.append('input').attr('type', 'checkbox');
+            option.append('span').attr('class', 'facet-option-name');
+            option.append('span').attr('class', 'facet-option-count');
+            return option;
+        })
+        .order()
+        .classed('is-empty', d => !counts[d]);
+
+    options.select('input')
+        .property('checked', d => facet.values.includes(d))
+        .on('change', function (event, d) {
+            const values = this.checked ? [...facet.values, d] : facet.values.filter(value => value !== d);
+            setFacet(facetMenuKey, { values: values, exclude: facet.exclude });
+        });
+    options.select('.facet-option-name').text(d => d);
+    options.select('.facet-option-count').text(d => (counts[d] || 0).toLocaleString());
+
+    document.getElementById('facetNote').textContent = values.length === 0
+        ? 'No matches'
+        : values.length > shown.length
+            ? 'Showing ' + shown.length + ' of ' + values.length.toLocaleString() + '; type to narrow'
+            : '';
+}
+
+// Button text: the picked value, or how many, prefixed with "Not" when excluding
+function facetButtonLabel(key, filters = appState.filters) {
+    const config = facetFilters[key];
+    const facet = filters[key];
+    if (facet.values.length === 0) return config.all;
+    const picked = facet.values.length === 1 ? facet.values[0] : facet.values.length + ' ' + config.noun;
+    return facet.exclude ? 'Not ' + picked : picked;
+}
+
+function syncFacetButtons() {
+    document.querySelectorAll('.facet-button').forEach(button => {
+        const key = button.getAttribute('data-facet');
+        const facet = appState.filters[key];
+        button.textContent = facetButtonLabel(key);
+        button.title = facet.values.join(', ');
+        button.classList.toggle('is-active', facet.values.length > 0);
+        button.classList.toggle('is-excluding', facet.exclude);
+    });
+}
+
+// Auto zoom function removed - not needed without country filter
+
+function resetFilters() {
+    pieChartState = { currentView: 'continent', selectedContinent: null, selectedCountry: null };
+    return dispatch({
+        startYear: datasetYears.start,
+        endYear: datasetYears.end,
+        currentYear: datasetYears.end,
+        timelineFrame: false,
+        filters: defaultFilters()
+    });
+}
+
+// Bound the year sliders (and so URL state and resets) to the loaded dataset's years
+function setDatasetYears(years) {
+    datasetYears = { start: years[0], end: years[1] };
+    ['startYearRange', 'endYearRange'].forEach(id => {
+        const input = document.getElementById(id);
+        input.min = datasetYears.start;
+        input.max = datasetYears.end;
+    });
+    document.getElementById('datasetYears').textContent = datasetYears.start === datasetYears.end
+        ? datasetYears.start
+        : datasetYears.start + '-' + datasetYears.end;
+}
+
+function syncYearControls() {
+    document.getElementById('startYearRange').value = appState.startYear;
+    document.getElementById('startYearDisplay').textContent = appState.startYear;
+    document.getElementById('endYearRange').value = appState.endYear;
+    document.getElementById('endYearDisplay').textContent = appState.endYear;
+    document.getElementById('currentYear').textContent = appState.currentYear;
+    syncTimeline();
+}
+
+// ==== LINKED SELECTION ====
+// Shift-clicking a Sankey node, or clicking a pie arc, heatmap cell or map point, toggles a selection: a
+// set of field criteria the aggregation engine matches against the filtered incidents.
+// Matches are highlighted in every view; the chip list removes or promotes them to filters.
+
+// Criteria fields backed by a filter control
+const promotableSelectionFields = [
+    'region', 'country', 'attackType', 'targetType', 'weaponType', 'groupName', 'year',
+    'success', 'suicide', 'multiple', 'property', 'hostageTaken'
+];
+
+// Faceted filters by filter key: the record field they match, their URL parameter and
+// the button text while nothing is picked
+const facetFilters = {
+    region: { field: 'region', param: 'region', all: 'All Regions', noun: 'regions' },
+    country: { field: 'country', param: 'country', all: 'All Countries', noun: 'countries' },
+    attackType: { field: 'attackType', param: 'attack', all: 'All Types', noun: 'attack types' },
+    targetType: { field: 'targetType', param: 'target', all: 'All Targets', noun: 'targets' },
+    weaponType: { field: 'weaponType', param: 'weapon', all: 'All Weapons', noun: 'weapons' },
+    group: { field: 'groupName', param: 'group', all: 'All Groups', noun: 'groups' }
+};
+
+// Yes/no record flags; their filters are 'all', 'yes' or 'no'. The URL uses the field names.
+const flagFilterIds = {
+    success: 'successFilter',
+    suicide: 'suicideFilter',
+    multiple: 'multipleFilter',
+    property: 'propertyFilter',
+    hostageTaken: 'hostageFilter'
+};
+
+function selectionKey(criteria) {
+    return Object.keys(criteria).sort().map(field => field + '=' + criteria[field]).join('&');
+}
+
+function isSelectionActive(criteria) {
+    const key = selectionKey(criteria);
+    return appState.selections.some(selection => selection.key === key);
+}
+
+// The selections with `criteria` added, or removed when already selected
+function toggledSelections(criteria, label) {
+    const key = selectionKey(criteria);
+    if (appState.selections.some(selection => selection.key === key)) {
+        return appState.selections.filter(selection => selection.key !== key);
+    }
+    return [...appState.selections, { key: key, criteria: criteria, label: label }];
+}
+
+// Selections aren't part of the shared URL
+function toggleSelection(criteria, label) {
+    return dispatch({ selections: toggledSelections(criteria, label) }, { record: false });
+}
+
+function clearSelections() {
+    return dispatch({ selections: [] }, { record: false });
+}
+
+function canPromoteSelection(selection) {
+    return Object.keys(selection.criteria).every(field => promotableSelectionFields.includes(field));
+}
+
+function promoteSelection(selection) {
+    const change = { filters: {}, selections: appState.selections.filter(s => s !== selection) };
+    Object.keys(selection.criteria).forEach(field => {
+        const filter = fieldFilterChange(field, selection.criteria[field]);
+        Object.assign(change.filters, filter.filters);
+        delete filter.filters;
+        Object.assign(change, filter);
+    });
+    return dispatch(change);
+}
+
+// State change filtering a record field to one value; null when the field has no filter
+function fieldFilterChange(field, value) {
+    const facet = Object.keys(facetFilters).find(key => facetFilters[key].field === field);
+    if (facet) return { filters: validFilters({ [facet]: { values: [value], exclude: false } }) };
+    if (field in flagFilterIds) return { filters: { [field]: value ? 'yes' : 'no' } };
+    if (field === 'year') return { startYear: value, endYear: value, currentYear: value, timelineFrame: false };
+    return null;
+}
+
+function renderSelectionBar() {
+    document.getElementById('selectionBar').hidden = appState.selections.length === 0;
+
+    const chips = d3.select('#selectionChips')
+        .selectAll('.selection-chip')
+        .data(appState.selections, d => d.key)
+        .join(enter => {
+            const chip = enter.append('span').attr('class', 'selection-chip');
+            chip.append('span').attr('class', 'selection-chip-label');
+            chip.append('button')
+                .attr('class', 'selection-chip-action')
+                .attr('title', 'Apply as filter')
+                .text('Filter');
+            chip.append('button')
+                .attr('class', 'selection-chip-remove')
+                .attr('title', 'Remove from selection')
+                .text('×');
+            return chip;
+        });
+
+    chips.select('.selection-chip-label').text(d => d.label);
+    chips.select('.selection-chip-action')
+        .style('display', d => canPromoteSelection(d) ? null : 'none')
+        .on('click', (event, d) => promoteSelection(d));
+    chips.select('.selection-chip-remove')
+        .on('click', (event, d) => toggleSelection(d.criteria, d.label));
+}
+
+// ==== URL STATE ====
+// The whole view state lives in the location hash so a pasted link reproduces the
+// exact view. Filter changes push history entries; zoom and playback replace them.
+let lastStatePush = 0;
+let isRestoringViewState = false;
+let pendingZoomState = null;
+
+function serializeViewState() {
+    const params = new URLSearchParams();
+    const startRange = document.getElementById('startYearRange');
+
+    if (appState.startYear !== +startRange.min) params.set('from', appState.startYear);
+    if (appState.endYear !== +startRange.max) params.set('to', appState.endYear);
+    if (appState.currentYear !== appState.endYear) params.set('year', appState.currentYear);
+
+    appendFilterParams(params, appState.filters);
+
+    // The comparison baseline nests its own years and filters in one parameter
+    if (appState.comparison) {
+        const baseline = new URLSearchParams({ from: appState.comparison.startYear, to: appState.comparison.endYear });
+        appendFilterParams(baseline, appState.comparison.filters);
+        params.set('baseline', baseline.toString());
+        const comparisonHeatmap = document.getElementById('comparisonHeatmap').value;
+        if (comparisonHeatmap !== 'side') params.set('cmpmap', comparisonHeatmap);
+    }
+
+    const metric = getHeatmapMetric();
+    if (metric !== 'count') params.set('metric', metric);
+
+    const heatmapScale = document.getElementById('heatmapScale').value;
+    if (heatmapScale !== 'linear') params.set('scale', heatmapScale);
+    const heatmapValues = document.getElementById('heatmapValues').value;
+    if (heatmapValues !== 'absolute') params.set('values', heatmapValues);
+
+    const heatmap = getHeatmapOptions();
+    if (heatmap.region) params.set('drill', heatmap.region);
+    if (heatmap.time !== 'year') params.set('time', heatmap.time);
+
+    const timeSeries = getTimeSeriesOptions();
+    if (timeSeries.measure !== 'count') params.set('ts', timeSeries.measure);
+    if (timeSeries.time !== 'year') params.set('tstime', timeSeries.time);
+    if (timeSeries.split) params.set('compare', timeSeries.split);
+    if (timeSeries.trend !== defaultTimeSeriesTrend) params.set('trend', timeSeries.trend);
+    if (!timeSeries.spikes) params.set('spikes', 'off');
+
+    const choropleth = getChoroplethMetric();
+    if (choropleth !== 'none') params.set('countries', choropleth);
+
+    const sankey = getSankeyOptions();
+    if (sankey.dimensions.join(',') !== defaultSankeyDimensions.join(',')) params.set('sankey', sankey.dimensions.join(','));
+    if (sankey.topN !== defaultSankeyTopN) params.set('top', sankey.topN);
+    if (sankey.value !== 'count') params.set('flow', sankey.value);
+
+    if (getMapLayerMode() === 'density') {
+        params.set('layer', 'density');
+        const bandwidth = document.getElementById('densityBandwidth');
+        if (bandwidth.value !== bandwidth.defaultValue) params.set('bandwidth', bandwidth.value);
+        const weight = document.getElementById('densityWeight').value;
+        if (weight !== 'count') params.set('weight', weight);
+    }
+
+    const windowYears = getAnimationWindow();
+    if (windowYears > 0) params.set('window', windowYears);
+    if (appState.timelineFrame && !appState.isPlaying) params.set('frame', '1');
+
+    const zoom = getZoomState();
+    if (zoom) params.set('zoom', [zoom.k.toFixed(2), zoom.lon.toFixed(3), zoom.lat.toFixed(3)].join(','));
+
+    if (pieChartState.selectedContinent) {
+        params.set('pie', [pieChartState.selectedContinent, pieChartState.selectedCountry].filter(Boolean).join('|'));
+    }
+
+    return params.toString();
+}
+
+function appendFilterParams(params, filters) {
+    const excluded = [];
+    Object.keys(facetFilters).forEach(key => {
+        const param = facetFilters[key].param;
+        filters[key].values.forEach(value => params.append(param, value));
+        if (filters[key].exclude) excluded.push(param);
+    });
+    if (excluded.length > 0) params.set('exclude', excluded.join(','));
+    Object.keys(flagFilterIds).forEach(field => {
+        if (filters[field] !== 'all') params.set(field, filters[field]);
+    });
+    if (filters.includeUnlocated) params.set('unlocated', '1');
+}
+
+function parseFilterParams(params) {
+    const excluded = (params.get('exclude') || '').split(',');
+    return {
+        facets: Object.fromEntries(Object.keys(facetFilters).map(key => {
+            const param = facetFilters[key].param;
+            return [key, { values: params.getAll(param), exclude: excluded.includes(param) }];
+        })),
+        flags: Object.fromEntries(Object.keys(flagFilterIds).map(field => [field, params.get(field) || 'all'])),
+        includeUnlocated: params.get('unlocated') === '1'
+    };
+}
+
+function parseViewState(hash) {
+    const params = new URLSearchParams(hash.replace(/^#/, ''));
+    const startRange = document.getElementById('startYearRange');
+    const minYear = +startRange.min;
+    const maxYear = +startRange.max;
+    const year = (name, fallback, source = params) => {
+        const value = parseInt(source.get(name), 10);
+        return Number.isFinite(value) ? Math.max(minYear, Math.min(maxYear, value)) : fallback;
+    };
+
+    const from = year('from', minYear);
+    const to = Math.max(from, year('to', maxYear));
+    const zoom = (params.get('zoom') || '').split(',').map(parseFloat);
+    const pie = (params.get('pie') || '').split('|').filter(Boolean);
+
+    let baseline = null;
+    if (params.has('baseline')) {
+        const baselineParams = new URLSearchParams(params.get('baseline'));
+        const baselineFrom = year('from', minYear, baselineParams);
+        baseline = {
+            startYear: baselineFrom,
+            endYear: Math.max(baselineFrom, year('to', maxYear, baselineParams)),
+            ...parseFilterParams(baselineParams)
+        };
+    }
+
+    return {
+        startYear: from,
+        endYear: to,
+        currentYear: Math.max(from, Math.min(to, year('year', to))),
+        ...parseFilterParams(params),
+        baseline: baseline,
+        comparisonHeatmap: params.get('cmpmap') || 'side',
+        metric: params.get('metric') || 'count',
+        heatmap: {
+            region: params.get('drill') || null,
+            time: params.get('time') || 'year',
+            scale: params.get('scale') || 'linear',
+            values: params.get('values') || 'absolute'
+        },
+        choropleth: params.get('countries') || 'none',
+        timeSeries: {
+            measure: params.get('ts') || 'count',
+            time: params.get('tstime') || 'year',
+            split: params.get('compare') || '',
+            trend: params.has('trend') ? parseInt(params.get('trend'), 10) : defaultTimeSeriesTrend,
+            spikes: params.get('spikes') !== 'off'
+        },
+        sankey: {
+            dimensions: params.get('sankey') ? params.get('sankey').split(',') : defaultSankeyDimensions,
+            topN: parseInt(params.get('top'), 10) || defaultSankeyTopN,
+            value: params.get('flow') || 'count'
+        },
+        window: parseInt(params.get('window'), 10) || 0,
+        frame: params.get('frame') === '1',
+        layer: params.get('layer') || 'points',
+        bandwidth: parseInt(params.get('bandwidth'), 10),
+        weight: params.get('weight') || 'count',
+        zoom: zoom.length === 3 && zoom.every(Number.isFinite) ? { k: zoom[0], lon: zoom[1], lat: zoom[2] } : null,
+        pieChartState: {
+            currentView: pie.length === 0 ? 'continent' : pie.length === 1 ? 'country' : 'attack-type',
+            selectedContinent: pie[0] || null,
+            selectedCountry: pie[1] || null
+        }
+    };
+}
+
+// Controls outside the store are set directly; the caller runs updateAll()
+function applyViewState(state) {
+    const windowSelect = document.getElementById('animWindow');
+    dispatch({
+        startYear: state.startYear,
+        endYear: state.endYear,
+        currentYear: state.currentYear,
+        timelineFrame: state.frame,
+        frameWindow: hasOption(windowSelect, String(state.window)) ? state.window : 0,
+        filters: validFilters({
+            ...state.facets,
+            includeUnlocated: state.includeUnlocated,
+            ...state.flags
+        }),
+        comparison: state.baseline ? {
+            startYear: state.baseline.startYear,
+            endYear: state.baseline.endYear,
+            filters: validFilters({
+                ...state.baseline.facets,
+                includeUnlocated: state.baseline.includeUnlocated,
+                ...state.baseline.flags
+            })
+        } : null
+    }, { record: false, update: false });
+
+    const comparisonHeatmap = document.getElementById('comparisonHeatmap');
+    comparisonHeatmap.value = hasOption(comparisonHeatmap, state.comparisonHeatmap) ? state.comparisonHeatmap : 'side';
+
+    const metricRadio = document.querySelector('input[name="metric"][value="' + state.metric + '"]');
+    if (metricRadio) metricRadio.checked = true;
+
+    heatmapRegion = state.heatmap.region;
+    const timeSelect = document.getElementById('heatmapTime');
+    timeSelect.value = hasOption(timeSelect, state.heatmap.time) ? state.heatmap.time : 'year';
+    const scaleSelect = document.getElementById('heatmapScale');
+    scaleSelect.value = hasOption(scaleSelect, state.heatmap.scale) ? state.heatmap.scale : 'linear';
+    const valuesSelect = document.getElementById('heatmapValues');
+    valuesSelect.value = hasOption(valuesSelect, state.heatmap.values) ? state.heatmap.values : 'absolute';
+
+    setSankeyOptions(state.sankey);
+    setTimeSeriesOptions(state.timeSeries);
+
+    const choroplethSelect = document.getElementById('choroplethMetric');
+    choroplethSelect.value = hasOption(choroplethSelect, state.choropleth) ? state.choropleth : 'none';
+
+    const layerSelect = document.getElementById('mapLayerMode');
+    layerSelect.value = hasOption(layerSelect, state.layer) ? state.layer : 'points';
+    const bandwidth = document.getElementById('densityBandwidth');
+    bandwidth.value = Number.isFinite(state.bandwidth) ? state.bandwidth : bandwidth.defaultValue;
+    const weightSelect = document.getElementById('densityWeight');
+    weightSelect.value = hasOption(weightSelect, state.weight) ? state.weight : 'count';
+    syncDensityControls();
+
+    pieChartState = state.pieChartState;
+    applyZoomState(state.zoom, 750);
+}
+
+function hasOption(select, value) {
+    return Array.from(select.options).some(option => option.value === value);
+}
+
+// Unknown values (e.g. a country missing from a partial extract) fall back to 'all'
+function setSelectValue(id, value) {
+    const select = document.getElementById(id);
+    select.value = hasOption(select, value) ? value : 'all';
+}
+
+function recordViewState(options = {}) {
+    if (isRestoringViewState || !isInitialized) return;
+
+    const hash = serializeViewState();
+    if ((hash ? '#' + hash : '') === window.location.hash) return;
+
+    const url = hash ? '#' + hash : window.location.pathname + window.location.search;
+    const now = Date.now();
+
+    // Collapse bursts (slider drags) into a single history entry
+    if (options.replace || now - lastStatePush < 500) {
+        history.replaceState(null, '', url);
+    } else {
+        history.pushState(null, '', url);
+    }
+    if (!options.replace) lastStatePush = now;
+}
+
+function restoreViewStateFromUrl() {
+    restoreViewState(window.location.hash);
+}
+
+function restoreViewState(hash) {
+    isRestoringViewState = true;
+    try {
+        stopAnim();
+        applyViewState(parseViewState(hash));
+    } finally {
+        isRestoringViewState = false;
+    }
+    updateAll();
+}
+
+// Zoom is stored as scale plus the geographic center, so links survive different screen sizes
+function getZoomState() {
+    const transform = window.currentZoomTransform;
+    const projection = window.currentProjection;
+
+    if (!transform || !projection) return pendingZoomState;
+    if (transform.k === 1 && transform.x === 0 && transform.y === 0) return null;
+
+    const center = transform.invert([window.mapWidth / 2, window.mapHeight / 2]);
+    const [lon, lat] = projection.invert(center);
+    return { k: transform.k, lon: lon, lat: lat };
+}
+
+function applyZoomState(zoom, duration = 0) {
+    const svg = window.mapSvg;
+    if (!svg || !window.currentProjection) {
+        pendingZoomState = zoom;
+        return;
+    }
+
+    const transform = zoom ? zoomTransformFor(zoom.lon, zoom.lat, zoom.k) : d3.zoomIdentity;
+    (duration ? svg.transition().duration(duration) : svg).call(window.mapZoom.transform, transform);
+}
+
+// ==== SAVED VIEWS ====
+// Named views in localStorage. A view is the URL hash state (filters, years, heatmap,
+// map zoom, pie drill-down...), so it restores exactly like a shared link. Views move
+// between machines as JSON files.
+const SAVED_VIEWS_KEY = 'gtd-saved-views';
+const SAVED_VIEWS_FILE_TYPE = 'gtd-saved-views';
+
+function setupSavedViews() {
+    const button = document.getElementById('savedViewsButton');
+    const menu = document.getElementById('viewsMenu');
+    const fileInput = document.getElementById('viewsFileInput');
+
+    button.addEventListener('click', event => {
+        event.stopPropagation();
+        if (!menu.hidden) {
+            menu.hidden = true;
+            return;
+        }
+        hideExportMenu();
+        hideFacetMenu();
+        const rect = button.getBoundingClientRect();
+        setSavedViewsStatus('');
+        renderSavedViews();
+        menu.hidden = false;
+        menu.style.top = rect.bottom + 4 + 'px';
+        menu.style.left = Math.max(8, Math.min(rect.left, window.innerWidth - menu.offsetWidth - 8)) + 'px';
+        document.getElementById('viewName').focus();
+    });
+
+    menu.addEventListener('click', event => event.stopPropagation());
+    document.getElementById('viewSave').addEventListener('click', saveCurrentView);
+    document.getElementById('viewName').addEventListener('keydown', event => {
+        if (event.key === 'Enter') saveCurrentView();
+    });
+
+    document.getElementById('viewsExport').addEventListener('click', exportSavedViews);
+    document.getElementById('viewsImport').addEventListener('click', () => fileInput.click());
+    fileInput.addEventListener('change', function () {
+        const file = this.files[0];
+        this.value = '';
+        if (file) importSavedViews(file);
+    });
+
+    document.addEventListener('click', () => {
+        menu.hidden = true;
+    });
+    document.addEventListener('keydown', event => {
+        if (event.key === 'Escape') menu.hidden = true;
+    });
+}
+
+// [{ name, state (URL hash without '#'), savedAt (ISO date) }], oldest first
+function readSavedViews() {
+    try {
+        return validSavedViews(JSON.parse(localStorage.getItem(SAVED_VIEWS_KEY) || '[]'));
+    } catch (error) {
+        console.warn('Could not read saved views:', error);
+        return [];
+    }
+}
+
+function writeSavedViews(views) {
+    try {
+        localStorage.setItem(SAVED_VIEWS_KEY, JSON.stringify(views));
+        return true;
+    } catch (error) {
+        console.warn('Could not save views:', error);
+        setSavedViewsStatus('Could not save: ' + error.message);
+        return false;
+    }
+}
 
-    attackArcs
-        .on('mouseenter', function (event, d) {
-            if (attackHoverTimeout) {
-                clearTimeout(attackHoverTimeout);
-                attackHoverTimeout = null;
-            }
+// Drop anything that isn't a named view (hand-edited or foreign files)
+function validSavedViews(views) {
+    if (!Array.isArray(views)) return [];
+    return views
+        .filter(view => view && typeof view.name === 'string' && view.name.trim() !== '' && typeof view.state === 'string')
+        .map(view => ({
+            name: view.name.trim(),
+            state: view.state.replace(/^#/, ''),
+            savedAt: typeof view.savedAt === 'string' ? view.savedAt : new Date().toISOString()
+        }));
+}
 
-            d3.select(this).select('path')
-                .transition()
-                .duration(200)
-                .attr('opacity', 1)
-                .attr('stroke-width', 3)
-                .attr('stroke', '#ff7f00');
+// Add views, replacing any with the same name
+function mergeSavedViews(views, added) {
+    const names = new Set(added.map(view => view.name));
+    return views.filter(view => !names.has(view.name)).concat(added);
+}
 
-            // Update center stats
-            centerValue.text(d.data.count.toLocaleString());
-            centerLabel.text(d.data.attackType);
-            deathValue.text(d.data.killed.toLocaleString());
-            deathLabel.text('Deaths');
+function saveCurrentView() {
+    const input = document.getElementById('viewName');
+    const name = input.value.trim();
+    if (!name) {
+        setSavedViewsStatus('Name the view first');
+        input.focus();
+        return;
+    }
 
-            // Show tooltip with locations
-            const incidents = filteredData.filter(inc =>
-                inc.country === country && inc.attackType === d.data.attackType
-            );
-            const topCities = d3.rollup(incidents, v => v.length, inc => inc.city);
-            const cityList = Array.from(topCities, ([city, count]) => ({ city, count }))
-                .sort((a, b) => b.count - a.count)
-                .slice(0, 3)
-                .map(c => `${c.city} (${c.count})`)
-                .join(', ');
+    const views = readSavedViews();
+    const replaced = views.some(view => view.name === name);
+    const view = { name: name, state: serializeViewState(), savedAt: new Date().toISOString() };
+    if (!writeSavedViews(mergeSavedViews(views, [view]))) return;
 
-            const content = `
-                <strong style="font-size: 14px;">${d.data.attackType}</strong><br/>
-                <span style="color: #94A3B8;">in ${country}, ${continent}</span><br/><br/>
-                <span style="color: #ff7f00;">Incidents: ${d.data.count.toLocaleString()}</span><br/>
-                <span style="color: #e41a1c;">Deaths: ${d.data.killed.toLocaleString()}</span><br/>
-                <span style="color: #4daf4a;">Wounded: ${d.data.wounded.toLocaleString()}</span><br/><br/>
-                <span style="font-size: 10px; color: #999999;">Top locations:</span><br/>
-                <span style="font-size: 11px; color: #94A3B8;">${cityList || 'Various'}</span>
-            `;
-            showTip(event, d.data, content);
-        })
-        .on('mouseleave', function (event, d) {
-            attackHoverTimeout = setTimeout(() => {
-                d3.select(this).select('path')
-                    .transition()
-                    .duration(200)
-                    .attr('opacity', 0.95)
-                    .attr('stroke-width', 2)
-                    .attr('stroke', '#0B1120');
+    input.value = '';
+    setSavedViewsStatus((replaced ? 'Replaced "' : 'Saved "') + name + '"');
+    renderSavedViews();
+}
 
-                // Restore country stats
-                const totalCount = d3.sum(attackData, d => d.count);
-                const totalKilled = d3.sum(attackData, d => d.killed);
-                centerValue.text(totalCount.toLocaleString());
-                centerLabel.text(`${country} Incidents`);
-                deathValue.text(totalKilled.toLocaleString());
-                deathLabel.text('Deaths');
-            }, 300);
-        });
+function openSavedView(view) {
+    restoreViewState('#' + view.state);
+    recordViewState();
+    document.getElementById('viewsMenu').hidden = true;
+}
 
-    // Update center stats
-    const totalCount = d3.sum(attackData, d => d.count);
-    const totalKilled = d3.sum(attackData, d => d.killed);
-    centerValue.transition().duration(300).tween("text", function () {
-        const i = d3.interpolate(parseInt(this.textContent.replace(/,/g, '')), totalCount);
-        return function (t) { this.textContent = Math.round(i(t)).toLocaleString(); };
-    });
-    centerLabel.transition().duration(300).text(`${country} Incidents`);
-    deathValue.transition().duration(300).tween("text", function () {
-        const i = d3.interpolate(parseInt(this.textContent.replace(/,/g, '')), totalKilled);
-        return function (t) { this.textContent = Math.round(i(t)).toLocaleString(); };
-    });
+function renameSavedView(view, name) {
+    name = name.trim();
+    if (!name || name === view.name) return renderSavedViews();
+
+    const views = readSavedViews();
+    if (views.some(other => other.name === name)) {
+        setSavedViewsStatus('A view named "' + name + '" already exists');
+        return renderSavedViews();
+    }
+    writeSavedViews(views.map(other => other.name === view.name ? { ...other, name: name } : other));
+    renderSavedViews();
 }
 
-// ==== UTILITY FUNCTIONS ====
-function getTop(data, field, limit) {
-    const counts = d3.rollup(data, v => v.length, d => d[field]);
-    return Array.from(counts, ([name, count]) => ({ name, count }))
-        .sort((a, b) => b.count - a.count)
-        .slice(0, limit)
-        .map(d => d.name);
+function deleteSavedView(view) {
+    writeSavedViews(readSavedViews().filter(other => other.name !== view.name));
+    setSavedViewsStatus('Deleted "' + view.name + '"');
+    renderSavedViews();
 }
 
-function drag(simulation) {
-    function dragstarted(event) {
-        if (!event.active) simulation.alphaTarget(0.3).restart();
-        event.subject.fx = event.subject.x;
-        event.subject.fy = event.subject.y;
+function renderSavedViews() {
+    const views = readSavedViews();
+    const list = d3.select('#savedViewList');
+    list.selectAll('*').remove();
+
+    if (views.length === 0) {
+        list.append('li').attr('class', 'saved-view-empty').text('No saved views yet');
+        return;
     }
 
-    function dragged(event) {
-        event.subject.fx = event.x;
-        event.subject.fy = event.y;
+    views.forEach(view => {
+        const item = list.append('li').attr('class', 'saved-view');
+        const open = item.append('button')
+            .attr('class', 'saved-view-name')
+            .attr('title', 'Open this view (saved ' + new Date(view.savedAt).toLocaleString() + ')')
+            .text(view.name)
+            .on('click', () => openSavedView(view));
+
+        item.append('button')
+            .attr('class', 'saved-view-action')
+            .attr('title', 'Rename')
+            .text('✎')
+            .on('click', () => {
+                // Swap the name for an input: Enter or leaving it renames, Escape cancels
+                open.style('display', 'none');
+                const input = item.insert('input', '.saved-view-action')
+                    .attr('type', 'text')
+                    .attr('class', 'saved-view-rename')
+                    .attr('maxlength', 80)
+                    .property('value', view.name)
+                    .on('keydown', event => {
+                        event.stopPropagation();
+                        if (event.key === 'Enter') input.node().blur();
+                        if (event.key === 'Escape') {
+                            input.property('value', view.name);
+                            input.node().blur();
+                        }
+                    })
+                    .on('blur', () => renameSavedView(view, input.property('value')));
+                input.node().focus();
+                input.node().select();
+            });
+
+        item.append('button')
+            .attr('class', 'saved-view-action')
+            .attr('title', 'Delete')
+            .text('×')
+            .on('click', () => deleteSavedView(view));
+    });
+}
+
+function exportSavedViews() {
+    const views = readSavedViews();
+    if (views.length === 0) {
+        setSavedViewsStatus('No saved views to export');
+        return;
     }
+    const file = { type: SAVED_VIEWS_FILE_TYPE, version: 1, views: views };
+    downloadBlob(new Blob([JSON.stringify(file, null, 2)], { type: 'application/json' }), 'gtd-saved-views.json');
+}
 
-    function dragended(event) {
-        if (!event.active) simulation.alphaTarget(0);
-        event.subject.fx = null;
-        event.subject.fy = null;
+// Accepts an exported file or a bare array of views; same-named views are replaced
+async function importSavedViews(file) {
+    try {
+        const parsed = JSON.parse(await file.text());
+        const imported = validSavedViews(Array.isArray(parsed) ? parsed : parsed && parsed.views);
+        if (imported.length === 0) {
+            setSavedViewsStatus('No views found in ' + file.name);
+            return;
+        }
+        if (writeSavedViews(mergeSavedViews(readSavedViews(), imported))) {
+            setSavedViewsStatus('Imported ' + imported.length + (imported.length === 1 ? ' view' : ' views'));
+        }
+        renderSavedViews();
+    } catch (error) {
+        console.error('Saved view import failed:', error);
+        setSavedViewsStatus('Import failed: ' + error.message);
     }
+}
 
-    return d3.drag()
-        .on('start', dragstarted)
-        .on('drag', dragged)
-        .on('end', dragended);
+function setSavedViewsStatus(message) {
+    document.getElementById('viewsStatus').textContent = message;
 }
 
-// ==== CONTROLS ====
-function setupControls() {
-    function toggleAnimation() {
-        if (isPlaying) {
-            stopAnim();
-        } else {
-            // If already at end or not started, restart from start year
-            if (currentYear >= endYear) {
-                currentYear = startYear - 1; // Will be incremented to startYear in first iteration
+// ==== EXPORT ====
+// Panels export their rendered SVG (with the ecosystem.css rules that apply to it
+// inlined) as SVG or PNG, and their aggregated table as CSV or JSON.
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+const exportPanels = {
+    map: { name: 'map', container: '#map-container', table: mapExportTable },
+    sankey: { name: 'sankey', container: '#sankey-container', table: sankeyExportTable },
+    attack: { name: 'attack-chart', container: '#attack-chart-container', table: attackChartExportTable },
+    heatmap: { name: 'heatmap', container: '#heatmap-container', table: heatmapExportTable },
+    timeseries: { name: 'time-series', container: '#timeseries-container', table: timeSeriesExportTable },
+    records: { name: 'incidents', table: filteredRecordsTable }
+};
+
+let exportTarget = null;
+
+function setupExportControls() {
+    const menu = document.getElementById('exportMenu');
+
+    document.querySelectorAll('[data-export]').forEach(button => {
+        button.addEventListener('click', event => {
+            event.stopPropagation();
+            const panel = button.getAttribute('data-export');
+            if (!menu.hidden && exportTarget === panel) {
+                hideExportMenu();
+            } else {
+                showExportMenu(button, panel);
             }
-            startAnim();
+        });
+    });
+
+    menu.addEventListener('click', event => {
+        event.stopPropagation();
+        const format = event.target.getAttribute('data-format');
+        if (format) runExport(exportTarget, format);
+    });
+
+    document.addEventListener('click', hideExportMenu);
+    document.addEventListener('keydown', event => {
+        if (event.key === 'Escape') hideExportMenu();
+    });
+}
+
+function showExportMenu(button, panel) {
+    const menu = document.getElementById('exportMenu');
+    const rect = button.getBoundingClientRect();
+
+    hideFacetMenu();
+    exportTarget = panel;
+    menu.querySelector('.export-menu-image').hidden = !exportPanels[panel].container;
+    document.getElementById('exportStatus').textContent = '';
+    menu.style.top = rect.bottom + 4 + 'px';
+    menu.style.right = Math.max(8, window.innerWidth - rect.right) + 'px';
+    menu.hidden = false;
+}
+
+function hideExportMenu() {
+    document.getElementById('exportMenu').hidden = true;
+}
+
+async function runExport(panel, format) {
+    const status = document.getElementById('exportStatus');
+    const config = exportPanels[panel];
+    const years = frameRange();
+    const filename = 'gtd-' + config.name + '-' + years.start + '-' + years.end;
+
+    status.textContent = 'Exporting...';
+    try {
+        if (format === 'svg') {
+            const { markup } = serializePanelSvg(config);
+            downloadBlob(new Blob([markup], { type: 'image/svg+xml;charset=utf-8' }), filename + '.svg');
+        } else if (format === 'png') {
+            const { markup, width, height } = serializePanelSvg(config);
+            const scale = +document.getElementById('exportScale').value;
+            downloadBlob(await svgToPngBlob(markup, width, height, scale), filename + '.png');
+        } else {
+            const rows = await config.table();
+            const blob = format === 'csv' ?
+                new Blob([d3.csvFormat(rows)], { type: 'text/csv;charset=utf-8' }) :
+                new Blob([JSON.stringify(rows, null, 2)], { type: 'application/json' });
+            downloadBlob(blob, filename + '.' + format);
         }
+        status.textContent = '';
+        hideExportMenu();
+    } catch (error) {
+        console.error('Export failed:', error);
+        status.textContent = 'Export failed: ' + error.message;
     }
+}
 
-    // Attach to button
-    document.getElementById('playAnimation').addEventListener('click', toggleAnimation);
+function serializePanelSvg(config) {
+    const svg = document.querySelector(config.container + ' svg');
+    if (!svg) throw new Error('Nothing has been drawn in this panel yet');
+
+    const width = +svg.getAttribute('width') || svg.getBoundingClientRect().width;
+    const height = +svg.getAttribute('height') || svg.getBoundingClientRect().height;
+
+    const clone = svg.cloneNode(true);
+    clone.setAttribute('xmlns', SVG_NS);
+    clone.setAttribute('width', width);
+    clone.setAttribute('height', height);
+    clone.setAttribute('viewBox', '0 0 ' + width + ' ' + height);
+
+    const style = document.createElementNS(SVG_NS, 'style');
+    style.textContent = collectSvgCss(svg);
+
+    // Panels are drawn on a dark background the SVG itself doesn't paint
+    const background = document.createElementNS(SVG_NS, 'rect');
+    background.setAttribute('width', width);
+    background.setAttribute('height', height);
+    background.setAttribute('fill', getComputedStyle(document.documentElement).getPropertyValue('--secondary-bg').trim() || '#2d2d2d');
+
+    clone.insertBefore(background, clone.firstChild);
+    clone.insertBefore(style, clone.firstChild);
+
+    // Large point sets live on the canvas layer; flatten them into the export
+    if (config.container === '#map-container' && canvasPoints.length > 0) {
+        const image = document.createElementNS(SVG_NS, 'image');
+        image.setAttribute('width', width);
+        image.setAttribute('height', height);
+        image.setAttribute('href', window.mapCanvas.toDataURL('image/png'));
+        clone.appendChild(image);
+    }
 
-    // Start year range
-    document.getElementById('startYearRange').addEventListener('input', function () {
-        startYear = +this.value;
-        document.getElementById('startYearDisplay').textContent = startYear;
-
-        // Ensure end year is always >= start year
-        if (endYear < startYear) {
-            endYear = startYear;
-            document.getElementById('endYearRange').value = endYear;
-            document.getElementById('endYearDisplay').textContent = endYear;
-        }
+    return { markup: new XMLSerializer().serializeToString(clone), width, height };
+}
 
-        // Update current year if it's out of range
-        if (currentYear < startYear) {
-            currentYear = startYear;
+// The ecosystem.css rules that match something in the SVG, plus the :root variables they use
+function collectSvgCss(svg) {
+    const rules = [];
+    const matches = selector => {
+        try {
+            return selector === ':root' || svg.matches(selector) || svg.querySelector(selector) !== null;
+        } catch (error) {
+            // Pseudo-elements and vendor selectors can't be matched
+            return false;
         }
+    };
+    const collect = ruleList => Array.from(ruleList).forEach(rule => {
+        if (rule.type === CSSRule.MEDIA_RULE) {
+            if (window.matchMedia(rule.media.mediaText).matches) collect(rule.cssRules);
+        } else if (rule.type === CSSRule.STYLE_RULE && matches(rule.selectorText)) {
+            rules.push(rule.cssText);
+        }
+    });
 
-        filterData();
+    Array.from(document.styleSheets)
+        .filter(sheet => sheet.href && sheet.href.includes('css/ecosystem.css'))
+        .forEach(sheet => collect(sheet.cssRules));
+    return rules.join('\n');
+}
+
+async function svgToPngBlob(markup, width, height, scale) {
+    const image = await loadSvgImage(markup);
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(width * scale);
+    canvas.height = Math.round(height * scale);
+    const ctx = canvas.getContext('2d');
+    ctx.scale(scale, scale);
+    ctx.drawImage(image, 0, 0, width, height);
+
+    return new Promise((resolve, reject) => {
+        canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error('PNG encoding failed')), 'image/png');
     });
+}
 
-    // End year range
-    document.getElementById('endYearRange').addEventListener('input', function () {
-        endYear = +this.value;
-        document.getElementById('endYearDisplay').textContent = endYear;
-
-        // Ensure start year is always <= end year
-        if (startYear > endYear) {
-            startYear = endYear;
-            document.getElementById('startYearRange').value = startYear;
-            document.getElementById('startYearDisplay').textContent = startYear;
-        }
+function loadSvgImage(markup) {
+    return new Promise((resolve, reject) => {
+        const url = URL.createObjectURL(new Blob([markup], { type: 'image/svg+xml;charset=utf-8' }));
+        const image = new Image();
 
-        // Update current year if it's out of range
-        if (currentYear > endYear) {
-            currentYear = endYear;
-        }
+        image.onload = () => {
+            URL.revokeObjectURL(url);
+            resolve(image);
+        };
+        image.onerror = () => {
+            URL.revokeObjectURL(url);
+            reject(new Error('The SVG could not be rendered'));
+        };
+        image.src = url;
+    });
+}
+
+function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// ---- Panel tables ----
+// Unclustered locations, whatever the map currently shows
+async function mapExportTable() {
+    const { points } = await engineRequest('clusters', { level: 0, radius: 0 });
+    return points.map(d => ({
+        latitude: d.latitude,
+        longitude: d.longitude,
+        city: d.city,
+        country: d.country,
+        attackType: d.attackType,
+        count: d.count,
+        killed: d.killed,
+        wounded: d.wounded
+    }));
+}
+
+async function sankeyExportTable() {
+    const { nodes, links } = viewData.sankey;
+    return links.map(link => ({
+        sourceCategory: sankeyDimensionLabels[nodes[link.source].category],
+        source: nodes[link.source].name,
+        targetCategory: sankeyDimensionLabels[nodes[link.target].category],
+        target: nodes[link.target].name,
+        measure: viewData.sankey.value,
+        value: link.value
+    }));
+}
 
-        document.getElementById('currentYear').textContent = currentYear;
-        filterData();
+async function attackChartExportTable() {
+    const rows = [];
+    viewData.continents.forEach(continent => {
+        continent.countries.forEach(country => {
+            country.attackTypes.forEach(attack => {
+                rows.push({
+                    continent: continent.continent,
+                    country: country.country,
+                    attackType: attack.attackType,
+                    count: attack.count,
+                    killed: attack.killed,
+                    wounded: attack.wounded
+                });
+            });
+        });
     });
+    return rows;
+}
 
-    document.getElementById('regionFilter').addEventListener('change', filterData);
-    document.getElementById('countryFilter').addEventListener('change', filterData);
-    document.getElementById('attackTypeFilter').addEventListener('change', filterData);
-    document.getElementById('resetFilters').addEventListener('click', resetFilters);
+async function heatmapExportTable() {
+    const metric = getHeatmapMetric();
+    const transform = document.getElementById('heatmapValues').value;
+    const { rowField, columnField } = viewData.heatmap;
+    return heatmapMatrix(viewData.heatmap.cells, metric, transform)
+        .map(d => ({
+            [rowField]: d.row,
+            [columnField]: columnField === 'weekday' ? heatmapColumnLabel(columnField, d.column) : d.column,
+            metric: metric,
+            values: transform,
+            value: d.value
+        }));
+}
 
-    document.querySelectorAll('input[name="metric"]').forEach(radio => {
-        radio.addEventListener('change', updateHeatmap);
+async function timeSeriesExportTable() {
+    const timeSeries = viewData.timeSeries;
+    const rows = [];
+    timeSeriesLines(timeSeries, getTimeSeriesOptions()).forEach(line => {
+        const spikes = new Set(line.spikes.map(spike => spike.index));
+        timeSeries.periods.forEach((period, i) => {
+            rows.push({
+                period: formatPeriod(period, timeSeries.time),
+                series: line.key,
+                measure: timeSeries.measure,
+                value: line.values[i],
+                trend: +line.trend[i].toFixed(2),
+                spike: spikes.has(i)
+            });
+        });
     });
+    return rows;
+}
+
+function filteredRecordsTable() {
+    return engineRequest('records', { filters: getFilterState() });
 }
 
-function filterData() {
-    const regionSelect = document.getElementById('regionFilter');
-    const selectedRegions = Array.from(regionSelect.selectedOptions).map(o => o.value);
-    const selectedCountry = document.getElementById('countryFilter').value;
-    const attackType = document.getElementById('attackTypeFilter').value;
+// ==== ANIMATION ====
+// Playback steps currentYear through startYear..endYear. Each frame shows every year up to
+// currentYear (cumulative) or only the last few years (a sliding window, #animWindow).
+const animationSpeeds = { '0.5': 1000, '1': 500, '2': 250, '4': 125 };
 
-    filteredData = globalData.filter(d => {
-        const yearMatch = d.year >= startYear && d.year <= endYear;
-        const regionMatch = selectedRegions.includes('all') || selectedRegions.length === 0 || selectedRegions.includes(d.region);
-        const countryMatch = selectedCountry === 'all' || (d.country || 'Unknown') === selectedCountry;
-        const attackMatch = attackType === 'all' || d.attackType === attackType;
-        return yearMatch && regionMatch && countryMatch && attackMatch;
+function setupTimelineControls() {
+    document.getElementById('animStepBack').addEventListener('click', () => stepFrame(-1));
+    document.getElementById('animStepForward').addEventListener('click', () => stepFrame(1));
+
+    // Scrubbing while playing moves the playhead; playback carries on from there
+    document.getElementById('timelineScrubber').addEventListener('input', function () {
+        showFrame(+this.value);
     });
 
-    updateAll();
+    // The window only changes what a frame covers
+    document.getElementById('animWindow').addEventListener('change', function () {
+        dispatch({ frameWindow: parseInt(this.value, 10) || 0 },
+            { update: appState.isPlaying || appState.timelineFrame });
+    });
+
+    document.getElementById('timelineClear').addEventListener('click', () => {
+        dispatch({ timelineFrame: false, currentYear: appState.endYear });
+    });
 }
 
-// Auto zoom function removed - not needed without country filter
+function getAnimationWindow() {
+    return appState.frameWindow;
+}
 
-function resetFilters() {
-    startYear = 1970;
-    endYear = 2020;
-    currentYear = 2020;
-    document.getElementById('startYearRange').value = 1970;
-    document.getElementById('startYearDisplay').textContent = 1970;
-    document.getElementById('endYearRange').value = 2020;
-    document.getElementById('endYearDisplay').textContent = 2020;
-    document.getElementById('currentYear').textContent = 2020;
-    document.getElementById('regionFilter').value = 'all';
-    document.getElementById('countryFilter').value = 'all';
-    document.getElementById('attackTypeFilter').value = 'all';
-    filteredData = globalData;
-    updateAll();
+function getAnimationDelay() {
+    return animationSpeeds[document.getElementById('animSpeed').value] || 500;
 }
 
-function startAnim() {
-    isPlaying = true;
-    document.getElementById('playIcon').textContent = '⏸';
-    document.getElementById('playText').textContent = 'Pause';
+// Years the views cover: the filter range, or the current frame while animating or paused on one
+function frameRange() {
+    if (!appState.isPlaying && !appState.timelineFrame) return { start: appState.startYear, end: appState.endYear };
+
+    const windowYears = getAnimationWindow();
+    return {
+        start: windowYears > 0 ? Math.max(appState.startYear, appState.currentYear - windowYears + 1) : appState.startYear,
+        end: appState.currentYear
+    };
+}
 
+function syncTimeline() {
+    document.getElementById('animWindow').value = appState.frameWindow;
+    document.getElementById('playIcon').textContent = appState.isPlaying ? '⏸' : '▶';
+    document.getElementById('playText').textContent = appState.isPlaying ? 'Pause' : 'Animate';
+
+    const scrubber = document.getElementById('timelineScrubber');
+    scrubber.min = appState.startYear;
+    scrubber.max = appState.endYear;
+    scrubber.value = appState.currentYear;
+
+    document.getElementById('animStepBack').disabled = appState.currentYear <= appState.startYear;
+    document.getElementById('animStepForward').disabled = appState.currentYear >= appState.endYear;
+
+    const frame = appState.isPlaying || appState.timelineFrame;
+    const years = frameRange();
+    document.getElementById('timelineRange').textContent = frame
+        ? (years.start === years.end ? 'Showing ' + years.end : 'Showing ' + years.start + '–' + years.end)
+        : '';
+    document.getElementById('timelineClear').hidden = !frame || appState.isPlaying;
+}
+
+function showFrame(year) {
+    return dispatch({
+        currentYear: Math.max(appState.startYear, Math.min(appState.endYear, year)),
+        timelineFrame: true
+    }, { record: !appState.isPlaying });
+}
+
+function stepFrame(delta) {
+    if (appState.isPlaying) stopAnim();
+    // Out of a frame, the view already covers the whole range: step back from its end
+    const from = appState.timelineFrame ? appState.currentYear : appState.endYear;
+    showFrame(from + delta);
+}
+
+function startAnim() {
     // Start from the beginning if at the end
-    if (currentYear >= endYear) {
-        currentYear = startYear - 1; // Will increment to startYear on first iteration
-    }
+    const atEnd = appState.currentYear >= appState.endYear;
+    const change = atEnd ? { isPlaying: true, currentYear: appState.startYear } : { isPlaying: true };
 
-    animationInterval = setInterval(() => {
-        currentYear++;
+    // The first frame renders now (the narrowed range when resuming mid-way); ticks wait for it
+    playFrame(dispatch(change, { record: false }));
+}
+
+function animationTick() {
+    let next = appState.currentYear + 1;
 
-        // Stop automatically at end year
-        if (currentYear > endYear) {
+    if (next > appState.endYear) {
+        if (!document.getElementById('animLoop').checked) {
+            // Stop automatically at end year
             stopAnim();
-            currentYear = endYear; // Ensure it stays at max
             return;
         }
+        next = appState.startYear;
+    }
 
-        // Update UI elements with visual feedback
-        const yearDisplay = document.getElementById('currentYear');
-        yearDisplay.textContent = currentYear;
-        yearDisplay.style.transform = 'scale(1.1)';
-        setTimeout(() => {
-            yearDisplay.style.transform = 'scale(1)';
-        }, 200);
+    // Re-aggregate respecting ALL active filters (getFilterState limits the years to the frame)
+    playFrame(dispatch({ currentYear: next }, { record: false }));
 
-        // Update filtered data - respecting ALL active filters
-        const regionSelect = document.getElementById('regionFilter');
-        const selectedRegions = Array.from(regionSelect.selectedOptions).map(o => o.value);
-        const selectedCountry = document.getElementById('countryFilter').value;
-        const attackType = document.getElementById('attackTypeFilter').value;
-
-        filteredData = globalData.filter(d => {
-            // Show cumulative data from startYear to currentYear
-            const yearMatch = d.year >= startYear && d.year <= currentYear;
-            const regionMatch = selectedRegions.includes('all') || selectedRegions.length === 0 || selectedRegions.includes(d.region);
-            const countryMatch = selectedCountry === 'all' || (d.country || 'Unknown') === selectedCountry;
-            const attackMatch = attackType === 'all' || d.attackType === attackType;
-            return yearMatch && regionMatch && countryMatch && attackMatch;
-        });
+    // Visual feedback on the year display
+    const yearDisplay = document.getElementById('currentYear');
+    yearDisplay.style.transform = 'scale(1.1)';
+    setTimeout(() => {
+        yearDisplay.style.transform = 'scale(1)';
+    }, 200);
+}
 
-        // Update all visualizations with error handling
-        try {
-            updateMap();
-            updateSankey();
-            updateHeatmap();
-            updateAttackChart();
-            updateDashboard();
-        } catch (error) {
-            console.error('Animation update error:', error);
-            stopAnim(); // Stop animation on error
+// The next frame waits for this one to render, so slow machines drop speed, not frames.
+// A frame that fails to update stops playback on the last one that rendered.
+function playFrame(rendered) {
+    rendered.then(updated => {
+        if (!updated) {
+            stopAnim();
+            return;
         }
-    }, 500); // Slightly faster animation for better visualization
+        if (appState.isPlaying) animationTimer = setTimeout(animationTick, getAnimationDelay());
+    });
 }
 
+// Pausing keeps the current frame on screen; the views already show it
 function stopAnim() {
-    isPlaying = false;
-    document.getElementById('playIcon').textContent = '▶';
-    document.getElementById('playText').textContent = 'Animate';
+    if (activeRecording) activeRecording.cancelled = true;
+    if (animationTimer) {
+        clearTimeout(animationTimer);
+        animationTimer = null;
+    }
+
+    if (!appState.isPlaying) return;
+    dispatch({ isPlaying: false, timelineFrame: true }, { replace: true, update: false });
+}
 
-    if (animationInterval) {
-        clearInterval(animationInterval);
+// ==== RECORDING ====
+// Plays the animation frame by frame into a fixed-size canvas (the map panel or every chart
+// panel laid out as on screen) with the year burned in, then encodes it as WebM (MediaRecorder)
+// or GIF (js/gif-worker.js). Frames are timed by the chosen frame rate, not by how long
+// each one took to render.
+const recordingSizes = { '640x360': [640, 360], '1280x720': [1280, 720], '1920x1080': [1920, 1080] };
+const RECORDING_SETTLE_MS = 350; // longest chart transition, so frames aren't caught mid-way
+const RECORDING_HOLD_MS = 1500; // the last frame stays up a little longer
+
+let activeRecording = null;
+
+function setupRecordingControls() {
+    const button = document.getElementById('animRecord');
+    const menu = document.getElementById('recordMenu');
+
+    if (!window.MediaRecorder || !HTMLCanvasElement.prototype.captureStream) {
+        const webm = document.querySelector('#recordFormat option[value="webm"]');
+        webm.disabled = true;
+        document.getElementById('recordFormat').value = 'gif';
     }
+
+    button.addEventListener('click', event => {
+        event.stopPropagation();
+        // While recording the button cancels it
+        if (activeRecording) {
+            stopAnim();
+            return;
+        }
+        if (!menu.hidden) {
+            menu.hidden = true;
+            return;
+        }
+        const rect = button.getBoundingClientRect();
+        document.getElementById('recordStatus').textContent = '';
+        menu.style.top = rect.bottom + 4 + 'px';
+        menu.style.left = Math.max(8, Math.min(rect.left, window.innerWidth - menu.offsetWidth - 8)) + 'px';
+        menu.hidden = false;
+    });
+
+    menu.addEventListener('click', event => event.stopPropagation());
+    document.getElementById('recordStart').addEventListener('click', () => {
+        menu.hidden = true;
+        const [width, height] = recordingSizes[document.getElementById('recordSize').value];
+        recordAnimation({
+            scope: document.getElementById('recordScope').value,
+            format: document.getElementById('recordFormat').value,
+            width: width,
+            height: height,
+            fps: +document.getElementById('recordFps').value
+        });
+    });
+
+    document.addEventListener('click', () => {
+        menu.hidden = true;
+    });
+    document.addEventListener('keydown', event => {
+        if (event.key === 'Escape') menu.hidden = true;
+    });
 }
 
-function updateAll() {
+async function recordAnimation(options) {
+    const button = document.getElementById('animRecord');
+    const status = document.getElementById('recordStatus');
+    const recording = { cancelled: false };
+    const first = appState.startYear;
+    const last = appState.endYear;
+    const canvas = document.createElement('canvas');
+    canvas.width = options.width;
+    canvas.height = options.height;
+
+    if (appState.isPlaying) stopAnim();
+    activeRecording = recording;
+    button.classList.add('is-recording');
+
+    const encoder = options.format === 'gif' ? createGifRecorder(canvas) : createWebmRecorder(canvas);
     try {
-        console.log('Updating map...');
-        updateMap();
-        console.log('Map updated');
+        // Playing (rather than paused on a frame) also skips the map's own transitions
+        await dispatch({ isPlaying: true }, { record: false, update: false });
+        for (let year = first; year <= last; year++) {
+            if (recording.cancelled) break;
+            button.textContent = '● ' + (year - first + 1) + '/' + (last - first + 1);
+
+            // A failed update would leave the previous year's views under this year's caption
+            if (!await dispatch({ currentYear: year }, { record: false })) {
+                throw new Error('the views could not be updated for ' + year);
+            }
+            await new Promise(resolve => setTimeout(resolve, RECORDING_SETTLE_MS));
+            await drawRecordingFrame(canvas, options.scope);
+            await encoder.addFrame(year === last ? RECORDING_HOLD_MS : 1000 / options.fps);
+        }
+
+        if (recording.cancelled) {
+            encoder.cancel();
+        } else {
+            button.textContent = '● Encoding...';
+            const blob = await encoder.finish();
+            const scope = options.scope === 'dashboard' ? 'dashboard' : 'map';
+            downloadBlob(blob, 'gtd-' + scope + '-' + first + '-' + last + '.' + options.format);
+        }
+    } catch (error) {
+        console.error('Recording failed:', error);
+        encoder.cancel();
+        status.textContent = 'Recording failed: ' + error.message;
+        document.getElementById('recordMenu').hidden = false;
+    } finally {
+        activeRecording = null;
+        button.classList.remove('is-recording');
+        button.textContent = '● Record';
+        // Leave the last recorded year on screen, as pausing would
+        if (appState.isPlaying) dispatch({ isPlaying: false, timelineFrame: true }, { replace: true, update: false });
+    }
+}
 
-        console.log('Updating sankey...');
-        updateSankey();
-        console.log('Sankey updated');
+// Rasterize the panel(s) into the canvas, scaled to fit, and caption it with the frame's years
+async function drawRecordingFrame(canvas, scope) {
+    const ctx = canvas.getContext('2d');
+    const background = getComputedStyle(document.documentElement).getPropertyValue('--primary-bg').trim() || '#1a1a1a';
+    ctx.fillStyle = background;
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+    const panels = (scope === 'dashboard' ? Object.values(exportPanels) : [exportPanels.map])
+        .filter(config => config.container && document.querySelector(config.container + ' svg'));
+    if (panels.length === 0) throw new Error('Nothing has been drawn yet');
+
+    // The smallest box holding every chart, laid out as on screen
+    const rects = panels.map(config => document.querySelector(config.container + ' svg').getBoundingClientRect());
+    const area = {
+        left: d3.min(rects, r => r.left),
+        top: d3.min(rects, r => r.top),
+        width: d3.max(rects, r => r.right) - d3.min(rects, r => r.left),
+        height: d3.max(rects, r => r.bottom) - d3.min(rects, r => r.top)
+    };
+    const scale = Math.min(canvas.width / area.width, canvas.height / area.height);
+    const offsetX = (canvas.width - area.width * scale) / 2;
+    const offsetY = (canvas.height - area.height * scale) / 2;
+
+    for (const [i, config] of panels.entries()) {
+        const { markup, width, height } = serializePanelSvg(config);
+        const image = await loadSvgImage(markup);
+        const rect = rects[i];
+        ctx.drawImage(image,
+            offsetX + (rect.left - area.left) * scale, offsetY + (rect.top - area.top) * scale,
+            width * scale, height * scale);
+    }
 
-        console.log('Updating heatmap...');
-        updateHeatmap();
-        console.log('Heatmap updated');
+    const years = frameRange();
+    const caption = years.start === years.end ? String(years.end) : years.start + '–' + years.end;
+    const fontSize = Math.round(canvas.height / 12);
+    ctx.font = '700 ' + fontSize + 'px ' + (getComputedStyle(document.body).fontFamily || 'sans-serif');
+    const padding = fontSize / 3;
+    const textWidth = ctx.measureText(caption).width;
+    ctx.fillStyle = 'rgba(26, 26, 26, 0.75)';
+    ctx.fillRect(padding, canvas.height - fontSize - padding * 3, textWidth + padding * 2, fontSize + padding * 2);
+    ctx.fillStyle = '#F1F5F9';
+    ctx.textBaseline = 'top';
+    ctx.fillText(caption, padding * 2, canvas.height - fontSize - padding * 2);
+}
 
-        console.log('Updating network...');
-        // updateNetwork(); // Replaced by Attack Chart
-        if (typeof updateAttackChart === 'function') {
-            updateAttackChart();
-            console.log('Attack chart updated');
+// Frames go to the encoder worker as they are captured
+function createGifRecorder(canvas) {
+    const worker = new Worker('js/gif-worker.js?v=4.8');
+    const ctx = canvas.getContext('2d');
+    let pending = null;
+
+    worker.onmessage = event => {
+        const { type, blob, error } = event.data;
+        if (!pending) return;
+        const { resolve, reject } = pending;
+        pending = null;
+        if (type === 'error') {
+            reject(new Error(error));
         } else {
-            console.warn('updateAttackChart function missing');
+            resolve(blob);
         }
+    };
+    worker.onerror = event => {
+        if (pending) pending.reject(new Error('GIF encoder failed: ' + event.message));
+        pending = null;
+    };
+
+    const request = (type, payload, transfer) => new Promise((resolve, reject) => {
+        pending = { resolve, reject };
+        worker.postMessage({ type, payload }, transfer || []);
+    });
 
+    return {
+        addFrame(duration) {
+            const pixels = ctx.getImageData(0, 0, canvas.width, canvas.height).data.buffer;
+            return request('frame', {
+                width: canvas.width,
+                height: canvas.height,
+                pixels: pixels,
+                delay: Math.round(duration / 10)
+            }, [pixels]);
+        },
+        finish() {
+            return request('finish').finally(() => worker.terminate());
+        },
+        cancel() {
+            worker.terminate();
+        }
+    };
+}
 
-        console.log('Updating dashboard...');
-        updateDashboard();
-        console.log('Dashboard updated');
-    } catch (error) {
-        console.error('Error in updateAll:', error);
-        throw error;
+// MediaRecorder timestamps frames in real time, so frames are kept until the end and then
+// replayed into the stream at the fixed rate
+function createWebmRecorder(canvas) {
+    const frames = [];
+
+    return {
+        async addFrame(duration) {
+            frames.push({ bitmap: await createImageBitmap(canvas), duration: duration });
+        },
+        finish() {
+            const ctx = canvas.getContext('2d');
+            const stream = canvas.captureStream(0);
+            const track = stream.getVideoTracks()[0];
+            const mimeType = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm']
+                .find(type => MediaRecorder.isTypeSupported(type));
+            const recorder = new MediaRecorder(stream, { mimeType: mimeType });
+            const data = [];
+
+            return new Promise((resolve, reject) => {
+                recorder.ondataavailable = event => {
+                    if (event.data.size > 0) data.push(event.data);
+                };
+                recorder.onstop = () => {
+                    this.cancel();
+                    resolve(new Blob(data, { type: 'video/webm' }));
+                };
+                recorder.onerror = event => {
+                    this.cancel();
+                    reject(event.error || new Error('WebM encoding failed'));
+                };
+
+                recorder.start();
+                let index = 0;
+                const next = () => {
+                    if (index === frames.length) {
+                        recorder.stop();
+                        return;
+                    }
+                    const frame = frames[index++];
+                    ctx.drawImage(frame.bitmap, 0, 0);
+                    track.requestFrame();
+                    setTimeout(next, frame.duration);
+                };
+                next();
+            });
+        },
+        cancel() {
+            frames.forEach(frame => frame.bitmap.close());
+            frames.length = 0;
+        }
+    };
+}
+
+// Bursts of filter changes (slider drags, animation ticks) share one follow-up
+// request carrying the latest state instead of queueing a query per event.
+// A failed update is reported here and resolves to false, so callers can drop the
+// promise; those that go on to use the views (playback, recording) check it.
+let updateInFlight = null;
+let updateQueued = null;
+
+function updateAll() {
+    if (updateInFlight) {
+        if (!updateQueued) {
+            updateQueued = updateInFlight.then(() => {
+                updateQueued = null;
+                return updateAll();
+            });
+        }
+        return updateQueued;
     }
+
+    updateInFlight = engineRequest('aggregate', {
+        filters: getFilterState(),
+        currentYear: appState.currentYear,
+        selection: appState.selections.map(s => s.criteria),
+        map: { level: mapClusterLevel(), radius: mapClusterRadius() },
+        sankey: getSankeyOptions(),
+        heatmap: getHeatmapOptions(),
+        timeSeries: getTimeSeriesOptions(),
+        comparison: appState.comparison ? {
+            filters: { startYear: appState.comparison.startYear, endYear: appState.comparison.endYear, ...appState.comparison.filters }
+        } : null
+    })
+        .then(result => {
+            viewData = result;
+            renderViews();
+            refreshMapClusters();
+            showUpdateError(null);
+            return true;
+        })
+        .catch(error => {
+            console.error('Update error:', error);
+            showUpdateError(error);
+            return false;
+        })
+        .finally(() => {
+            updateInFlight = null;
+        });
+    return updateInFlight;
+}
+
+// The views keep the last aggregates that rendered; null clears the message
+function showUpdateError(error) {
+    const banner = document.getElementById('updateError');
+    banner.hidden = !error;
+    banner.textContent = error ? 'Error updating the views: ' + error.message : '';
 }
 
 function updateDashboard() {
-    document.getElementById('totalIncidents').textContent = filteredData.length.toLocaleString();
-    document.getElementById('totalCasualties').textContent =
-        (d3.sum(filteredData, d => d.killed + d.wounded)).toLocaleString();
-    document.getElementById('activeGroups').textContent =
-        new Set(filteredData.map(d => d.groupName).filter(g => g !== 'Unknown')).size;
-    document.getElementById('affectedRegions').textContent =
-        new Set(filteredData.map(d => d.region)).size;
+    if (!viewData) return;
+
+    const stats = viewData.stats;
+    document.getElementById('totalIncidents').textContent = stats.incidents.toLocaleString();
+    document.getElementById('totalCasualties').textContent = stats.casualties.toLocaleString();
+    document.getElementById('unknownCasualties').textContent = stats.unknownCasualties > 0
+        ? stats.unknownCasualties.toLocaleString() + ' with unknown casualties'
+        : '';
+    document.getElementById('activeGroups').textContent = stats.groups;
+    document.getElementById('affectedRegions').textContent = stats.regions;
+    document.getElementById('selectionCount').textContent =
+        stats.selected.toLocaleString() + ' matching incidents';
 }
 
 function showTip(event, d, content) {
@@ -1724,8 +5748,16 @@ function hideTip() {
     }
 }
 
-function showLoading(show) {
-    document.getElementById('loading').style.display = show ? 'flex' : 'none';
+// progress is a 0-1 fraction, or null for an indeterminate step
+function showLoading(show, message, progress = null) {
+    const overlay = document.getElementById('loading');
+    overlay.style.display = show ? 'flex' : 'none';
+    overlay.classList.remove('has-error');
+
+    document.getElementById('loadingMessage').textContent = message || 'Loading Data Visualization...';
+    const bar = document.getElementById('loadingProgress');
+    bar.hidden = progress === null;
+    bar.firstElementChild.style.width = (progress || 0) * 100 + '%';
 }
 
 // Responsive resize handler with debounce
@@ -1734,10 +5766,7 @@ function handleResize() {
     clearTimeout(resizeTimeout);
     resizeTimeout = setTimeout(() => {
         try {
-            // Only update visualizations that need to be redrawn
-            updateHeatmap();
-            updateAttackChart();
-            updateSankey();
+            resizeViews();
             console.log('Visualizations resized');
         } catch (error) {
             console.error('Resize error:', error);
@@ -0,0 +1,171 @@
+// Global Terrorism Data Visualization
+// GIF encoder: runs in a Web Worker, quantizes each recorded frame to its own
+// 256-color palette and LZW-compresses it as the frames arrive
+
+let chunks = [];
+let frameSize = null;
+
+self.onmessage = function (event) {
+    const { type, payload } = event.data;
+    try {
+        if (type === 'frame') {
+            addFrame(payload);
+            self.postMessage({ type: 'frame' });
+        } else if (type === 'finish') {
+            chunks.push(new Uint8Array([0x3b]));
+            const blob = new Blob(chunks, { type: 'image/gif' });
+            chunks = [];
+            frameSize = null;
+            self.postMessage({ type: 'done', blob: blob });
+        }
+    } catch (error) {
+        chunks = [];
+        frameSize = null;
+        self.postMessage({ type: 'error', error: error.message });
+    }
+};
+
+// payload: { width, height, pixels (RGBA), delay (centiseconds) }
+function addFrame({ width, height, pixels, delay }) {
+    const out = [];
+    const u16 = value => out.push(value & 0xff, (value >> 8) & 0xff);
+
+    if (!frameSize) {
+        frameSize = { width, height };
+        out.push(...'GIF89a'.split('').map(c => c.charCodeAt(0)));
+        u16(width);
+        u16(height);
+        // No global color table; every frame carries its own palette
+        out.push(0x00, 0x00, 0x00);
+        // NETSCAPE2.0 extension: loop forever
+        out.push(0x21, 0xff, 0x0b, ...'NETSCAPE2.0'.split('').map(c => c.charCodeAt(0)), 0x03, 0x01, 0x00, 0x00, 0x00);
+    } else if (width !== frameSize.width || height !== frameSize.height) {
+        throw new Error('All frames must have the same size');
+    }
+
+    const { palette, indices } = quantize(new Uint8Array(pixels), width * height);
+
+    // Graphic control extension: keep the frame (disposal 1) for `delay`
+    out.push(0x21, 0xf9, 0x04, 0x04);
+    u16(delay);
+    out.push(0x00, 0x00);
+
+    // Image descriptor with a 256-entry local color table
+    out.push(0x2c);
+    u16(0);
+    u16(0);
+    u16(width);
+    u16(height);
+    out.push(0x87);
+
+    chunks.push(new Uint8Array(out), palette, lzwEncode(indices, 8));
+}
+
+// Popularity quantizer: the 256 most frequent colors at 5 bits per channel, every
+// other color mapped to its nearest palette entry
+function quantize(pixels, count) {
+    const histogram = new Uint32Array(32768);
+    const bins = new Uint16Array(count);
+    for (let i = 0; i < count; i++) {
+        const p = i * 4;
+        const bin = ((pixels[p] >> 3) << 10) | ((pixels[p + 1] >> 3) << 5) | (pixels[p + 2] >> 3);
+        bins[i] = bin;
+        histogram[bin]++;
+    }
+
+    const used = [];
+    histogram.forEach((n, bin) => {
+        if (n > 0) used.push(bin);
+    });
+    used.sort((a, b) => histogram[b] - histogram[a]);
+    const chosen = used.slice(0, 256);
+
+    const palette = new Uint8Array(256 * 3);
+    const rgb = bin => [((bin >> 10) & 31) << 3 | 4, ((bin >> 5) & 31) << 3 | 4, (bin & 31) << 3 | 4];
+    chosen.forEach((bin, i) => palette.set(rgb(bin), i * 3));
+
+    // Nearest palette entry for every bin that occurs
+    const lookup = new Int16Array(32768).fill(-1);
+    chosen.forEach((bin, i) => {
+        lookup[bin] = i;
+    });
+    used.slice(256).forEach(bin => {
+        const [r, g, b] = rgb(bin);
+        let best = 0;
+        let bestDistance = Infinity;
+        for (let i = 0; i < chosen.length; i++) {
+            const dr = palette[i * 3] - r;
+            const dg = palette[i * 3 + 1] - g;
+            const db = palette[i * 3 + 2] - b;
+            const distance = dr * dr + dg * dg + db * db;
+            if (distance < bestDistance) {
+                bestDistance = distance;
+                best = i;
+            }
+        }
+        lookup[bin] = best;
+    });
+
+    const indices = new Uint8Array(count);
+    for (let i = 0; i < count; i++) indices[i] = lookup[bins[i]];
+    return { palette, indices };
+}
+
+// Variable-width LZW as the GIF spec wants it, packed LSB first into 255-byte sub-blocks
+function lzwEncode(indices, minCodeSize) {
+    const clearCode = 1 << minCodeSize;
+    const endCode = clearCode + 1;
+    const bytes = [minCodeSize];
+    let block = [];
+    let buffer = 0;
+    let bits = 0;
+
+    const emit = (code, size) => {
+        buffer |= code << bits;
+        bits += size;
+        while (bits >= 8) {
+            block.push(buffer & 0xff);
+            buffer >>= 8;
+            bits -= 8;
+            if (block.length === 255) {
+                bytes.push(255, ...block);
+                block = [];
+            }
+        }
+    };
+
+    let codeSize = minCodeSize + 1;
+    let nextCode = endCode + 1;
+    let table = new Map();
+
+    emit(clearCode, codeSize);
+    let prefix = indices[0];
+    for (let i = 1; i < indices.length; i++) {
+        const k = indices[i];
+        const key = prefix * 256 + k;
+        const code = table.get(key);
+        if (code !== undefined) {
+            prefix = code;
+            continue;
+        }
+
+        emit(prefix, codeSize);
+        if (nextCode === 4096) {
+            emit(clearCode, codeSize);
+            table = new Map();
+            codeSize = minCodeSize + 1;
+            nextCode = endCode + 1;
+        } else {
+            if (nextCode >= 1 << codeSize) codeSize++;
+            table.set(key, nextCode++);
+        }
+        prefix = k;
+    }
+    emit(prefix, codeSize);
+    emit(endCode, codeSize);
+
+    if (bits > 0) block.push(buffer & 0xff);
+    if (block.length > 0) bytes.push(block.length, ...block);
+    bytes.push(0x00);
+    return new Uint8Array(bytes);
+}